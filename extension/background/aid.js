@@ -483,27 +483,26 @@ export const updatePlayerName = async (state, characterName) => {
   }
 };
 /**
- * Submits an action to AI Dungeon with the party member's character name.
+ * Resolves the adventure ID, preferring the live context over an HTTP lookup.
  * @param {State} state - Application state
- * @param {string} actionText - The action text to submit
- * @param {function(string): void} sendTwitchMessage - Function to send Twitch message
- * @returns {Promise<void>}
- * @throws {AIDError} If submission fails
+ * @returns {Promise<string>} The adventure ID
+ * @throws {AIDError} If fetch fails or adventure not found
  */
-export const submitToAID = async (state, actionText, sendTwitchMessage) => {
-  if (!state.firebaseToken || !state.shortId) {
-    throw new AIDError('Cannot submit - missing Firebase token or adventure shortId');
+const resolveAdventureId = async (state) => {
+  if (state.context?.adventureId) {
+    return state.context.adventureId;
   }
-  let adventureId = state.context?.adventureId;
-  if (!adventureId) {
-    console.log('[AID] No adventureId from context, fetching...');
-    adventureId = await fetchAdventureId(state);
-  }
-  // Ensure third person is enabled before submitting
-  await ensureThirdPerson(state, adventureId);
-  // Get the party member name to use for this action
-  const partyName = getResolvedPartyName(state.config);
-  console.log('[AID] Submitting with characterName:', partyName);
+  console.log('[AID] No adventureId from context, fetching...');
+  return await fetchAdventureId(state);
+};
+/**
+ * Sends an ActionRequest mutation and checks the result.
+ * @param {State} state - Application state
+ * @param {Object} input - ActionRequestInput fields (key is added automatically)
+ * @returns {Promise<void>}
+ * @throws {AIDError} If the request fails or is rejected
+ */
+const postActionRequest = async (state, input) => {
   const graphqlUrl = getAidGraphqlUrl(state.aidOrigin);
   const key = crypto.randomUUID();
   const mutation = `
@@ -515,7 +514,7 @@ export const submitToAID = async (state, actionText, sendTwitchMessage) => {
       }
     }
   `;
-  console.log('[AID] Submitting action:', { adventureId, type: 'do', text: actionText, characterName: partyName, key });
+  console.log('[AID] Action request:', { ...input, key });
   const response = await fetch(graphqlUrl, {
     method: 'POST',
     headers: {
@@ -526,26 +525,72 @@ export const submitToAID = async (state, actionText, sendTwitchMessage) => {
       operationName: 'ActionRequest',
       query: mutation,
       variables: {
-        input: {
-          adventureId: String(adventureId),
-          type: 'do',
-          text: actionText,
-          characterName: partyName,
-          key
-        }
+        input: { ...input, key }
       }
     })
   });
   if (!response.ok) {
-    throw new AIDError(`Failed to submit action: HTTP ${response.status}`);
+    throw new AIDError(`Failed to submit ${input.type}: HTTP ${response.status}`);
   }
   const result = await response.json();
   if (result.errors) {
-    throw new AIDError(result.errors[0]?.message || 'GraphQL error during submission');
+    throw new AIDError(result.errors[0]?.message || `GraphQL error during ${input.type}`);
   }
   if (!result.data?.actionRequest?.success) {
     throw new AIDError(result.data?.actionRequest?.message || 'Action rejected by AI Dungeon');
   }
+  return;
+};
+/**
+ * Submits an action to AI Dungeon with the party member's character name.
+ * Test rounds only announce the action, so rehearsals never change the adventure.
+ * @param {State} state - Application state
+ * @param {string} actionText - The action text to submit (empty for continue)
+ * @param {function(string): void} sendChatMessage - Function to send a chat message
+ * @param {import('./types.js').ActionType} [type] - AI Dungeon action type
+ * @returns {Promise<void>}
+ * @throws {AIDError} If submission fails
+ */
+export const submitToAID = async (state, actionText, sendChatMessage, type = 'do') => {
+  if (state.rehearsal) {
+    console.log('[AID] Test round, not submitting:', type, actionText);
+    sendChatMessage('🧪 Test round: the action was not sent to AI Dungeon');
+    return;
+  }
+  if (!state.firebaseToken || !state.shortId) {
+    throw new AIDError('Cannot submit - missing Firebase token or adventure shortId');
+  }
+  const adventureId = await resolveAdventureId(state);
+  // Ensure third person is enabled before submitting
+  await ensureThirdPerson(state, adventureId);
+  // Get the party member name to use for this action
+  const partyName = getResolvedPartyName(state.config);
+  console.log('[AID] Submitting with characterName:', partyName);
+  await postActionRequest(state, {
+    adventureId: String(adventureId),
+    type,
+    text: actionText,
+    characterName: partyName
+  });
   console.log('[AID] Action submitted successfully');
-  sendTwitchMessage('✅ Action submitted to AI Dungeon!');
+  sendChatMessage('✅ Action submitted to AI Dungeon!');
+};
+/**
+ * Retries or undoes the most recent AI output.
+ * @param {State} state - Application state
+ * @param {'retry'|'undo'} command - Which story command to send
+ * @returns {Promise<void>}
+ * @throws {AIDError} If the request fails
+ */
+export const sendStoryCommand = async (state, command) => {
+  if (!state.firebaseToken || !state.shortId) {
+    throw new AIDError(`Cannot ${command} - missing Firebase token or adventure shortId`);
+  }
+  const adventureId = await resolveAdventureId(state);
+  await postActionRequest(state, {
+    adventureId: String(adventureId),
+    type: command
+  });
+  console.log('[AID]', command, 'sent successfully');
+  return;
 };
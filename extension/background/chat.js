@@ -0,0 +1,171 @@
+// Audience Multiplayer - Chat Module
+// Registry of chat-source adapters (one per platform) and the normalized message they emit
+/** @typedef {import('./types.js').State} State */
+/** @typedef {import('./types.js').ChatMessage} ChatMessage */
+/** @typedef {import('./types.js').Viewer} Viewer */
+/** @typedef {import('./types.js').ChatRoles} ChatRoles */
+/** @typedef {import('./types.js').ChatSource} ChatSource */
+/** @typedef {import('./types.js').ChatSourceStatus} ChatSourceStatus */
+import { CHAT_CONNECT_WAIT_MS, CHAT_CONNECT_POLL_MS } from './constants.js';
+/** Registered sources, in the order their status dots are shown */
+const sources = [];
+/**
+ * Adds a chat source. Each platform registers once, at startup.
+ * @param {ChatSource} source - Adapter to add
+ * @throws {Error} If a source with the same id is already registered
+ * @returns {void}
+ */
+export const registerChatSource = (source) => {
+  if (sources.some(s => s.id === source.id)) {
+    throw new Error(`Chat source already registered: ${source.id}`);
+  }
+  sources.push(source);
+  return;
+};
+/**
+ * Gets a registered chat source by id.
+ * @param {string} id - Platform id, e.g. 'twitch'
+ * @returns {ChatSource|null}
+ */
+export const getChatSource = (id) => {
+  return sources.find(s => s.id === id) || null;
+};
+/**
+ * Builds a normalized chat message. Missing roles default to false, and the
+ * user id falls back to the lowercased name for platforms that don't expose one.
+ * @param {Object} fields - Message fields
+ * @param {string} fields.platform - Source id the message came from
+ * @param {string} [fields.userId] - Stable id for the sender on that platform
+ * @param {string} fields.user - Display name
+ * @param {string} fields.text - Message content
+ * @param {Partial<ChatRoles>} [fields.roles] - Sender's roles in the channel
+ * @param {number} [fields.bits] - Bits cheered with the message
+ * @param {import('./types.js').PaidMessage|null} [fields.paid] - Super Chat or membership details
+ * @param {*} [fields.raw] - Original payload from the platform
+ * @returns {ChatMessage}
+ */
+export const createChatMessage = ({ platform, userId, user, text, roles = {}, bits = 0, paid = null, raw = null }) => ({
+  platform,
+  userId: userId || user.toLowerCase(),
+  user,
+  text,
+  roles: {
+    broadcaster: !!roles.broadcaster,
+    moderator: !!roles.moderator,
+    subscriber: !!roles.subscriber,
+    vip: !!roles.vip,
+    founder: !!roles.founder,
+    verified: !!roles.verified
+  },
+  bits: bits > 0 ? bits : 0,
+  paid,
+  raw
+});
+/**
+ * Gets the viewer who sent a message, keyed on platform and user id.
+ * @param {ChatMessage} message - Normalized chat message
+ * @returns {Viewer}
+ */
+export const getViewer = (message) => ({
+  key: `${message.platform}:${message.userId}`,
+  name: message.user,
+  platform: message.platform
+});
+/**
+ * Checks whether the sender may run round commands (!vote, !tally, !pause...).
+ * @param {ChatMessage} message - Normalized chat message
+ * @returns {boolean}
+ */
+export const canUseModCommands = (message) => {
+  return message.roles.broadcaster || message.roles.moderator;
+};
+/**
+ * Connects one chat source.
+ * @param {State} state - Application state
+ * @param {string} id - Platform id
+ * @param {function(ChatMessage): void} onMessage - Called with each normalized message
+ * @param {function(): void} onStatusChange - Called when the source connects, disconnects or fails
+ * @param {string} [url] - Server URL to connect to instead of the real one (e.g. a local stand-in for testing)
+ * @throws {Error} If the source is unknown or not configured (the source's own error class)
+ * @returns {void}
+ */
+export const connectChatSource = (state, id, onMessage, onStatusChange, url) => {
+  const source = getChatSource(id);
+  if (!source) {
+    throw new Error(`Unknown chat source: ${id}`);
+  }
+  source.connect(state, onMessage, onStatusChange, url);
+  return;
+};
+/**
+ * Connects every registered source. Sources that aren't configured yet are
+ * skipped and connect later, when their settings are saved.
+ * @param {State} state - Application state
+ * @param {function(ChatMessage): void} onMessage - Called with each normalized message
+ * @param {function(): void} onStatusChange - Called when a source connects, disconnects or fails
+ * @param {Object<string, string>} [urls] - Platform id -> server URL to connect to instead of the real one (e.g. a local stand-in for testing)
+ * @returns {string[]} Ids of the sources that started connecting
+ */
+export const connectChatSources = (state, onMessage, onStatusChange, urls = {}) => {
+  const started = [];
+  for (const source of sources) {
+    try {
+      source.connect(state, onMessage, onStatusChange, urls[source.id]);
+      started.push(source.id);
+    } catch (err) {
+      console.log(`[Chat] ${source.label} connection deferred:`, err.message);
+    }
+  }
+  return started;
+};
+/**
+ * Waits until every given source that can post has connected or failed, or
+ * until the wait runs out, so messages sent right after startup reach chat.
+ * @param {State} state - Application state
+ * @param {string[]} ids - Sources to wait for, from connectChatSources
+ * @param {number} [timeoutMs] - Longest wait
+ * @returns {Promise<void>}
+ */
+export const waitForChatSources = (state, ids, timeoutMs = CHAT_CONNECT_WAIT_MS) => {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve) => {
+    const check = () => {
+      const pending = sources.filter(s => ids.includes(s.id) && s.send && s.isEnabled(state) && s.getStatus(state).status === 'disconnected');
+      if (pending.length === 0) {
+        resolve();
+        return;
+      }
+      if (Date.now() >= deadline) {
+        console.log('[Chat] Gave up waiting for', pending.map(s => s.label).join(', '));
+        resolve();
+        return;
+      }
+      setTimeout(check, CHAT_CONNECT_POLL_MS);
+    };
+    check();
+  });
+};
+/**
+ * Posts a message to every connected source that can send.
+ * @param {State} state - Application state
+ * @param {string} text - Message to post
+ * @returns {void}
+ */
+export const sendChatMessage = (state, text) => {
+  for (const source of sources) {
+    if (source.send && source.getStatus(state).status === 'connected') {
+      source.send(state, text);
+    }
+  }
+  return;
+};
+/**
+ * Lists the status of every enabled source for the popup's status dots.
+ * @param {State} state - Application state
+ * @returns {Array<{id: string, label: string} & ChatSourceStatus>}
+ */
+export const getChatSourceStatuses = (state) => {
+  return sources
+    .filter(s => s.isEnabled(state))
+    .map(s => ({ id: s.id, label: s.label, ...s.getStatus(state) }));
+};
@@ -0,0 +1,81 @@
+// Audience Multiplayer - Cluster Module
+// Groups near-duplicate submissions so their supporters are counted together
+/** @typedef {import('./types.js').State} State */
+/** @typedef {import('./types.js').Submission} Submission */
+import { CLUSTER_SIMILARITY, CLUSTER_STOPWORDS } from './constants.js';
+import { getVoteCount, getRawVoteCount } from './tally.js';
+/**
+ * Splits text into a set of normalized tokens: lowercase, no punctuation, no filler words.
+ * @param {string} text - Submission text
+ * @returns {Set<string>}
+ */
+const tokenize = (text) => {
+  const words = text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/);
+  return new Set(words.filter(w => w && !CLUSTER_STOPWORDS.includes(w)));
+};
+/**
+ * Token-set (Jaccard) similarity between two tokenized texts.
+ * @param {Set<string>} a - First token set
+ * @param {Set<string>} b - Second token set
+ * @returns {number} 0 (nothing shared) to 1 (same words)
+ */
+const similarity = (a, b) => {
+  if (a.size === 0 && b.size === 0) {
+    return 1;
+  }
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) {
+      shared++;
+    }
+  }
+  return shared / (a.size + b.size - shared);
+};
+/**
+ * Groups near-duplicate submissions of the same action type.
+ * Each group is returned as one submission: the most-voted member's text, with
+ * the union of every member's voters (so nobody is counted twice) and
+ * memberIndices listing the grouped option numbers.
+ * @param {Submission[]} submissions - Submissions to group
+ * @param {Map<string, number>} [weights] - Lowercased voter -> vote weight, for picking each group's lead
+ * @returns {Submission[]} One submission per group, most-voted member first within each
+ */
+export const clusterSubmissions = (submissions, weights = new Map()) => {
+  const byVotes = [...submissions].sort((a, b) => (getVoteCount(b, weights) - getVoteCount(a, weights)) || (a.index - b.index));
+  const groups = [];
+  for (const submission of byVotes) {
+    const tokens = tokenize(submission.text);
+    const group = groups.find(g => g.type === submission.type && similarity(g.tokens, tokens) >= CLUSTER_SIMILARITY);
+    if (group) {
+      group.members.push(submission);
+    } else {
+      groups.push({ type: submission.type, tokens, members: [submission] });
+    }
+  }
+  return groups.map(({ members }) => {
+    const [representative] = members;
+    if (members.length === 1) {
+      return representative;
+    }
+    const votes = new Set(members.flatMap(m => [...m.votes]));
+    const debugVotes = members.some(m => m.debugVoteCount) ? members.reduce((sum, m) => sum + getRawVoteCount(m), 0) : undefined;
+    return {
+      ...representative,
+      votes,
+      debugVoteCount: debugVotes,
+      memberIndices: members.map(m => m.index)
+    };
+  });
+};
+/**
+ * Returns the submissions to tally or blend this round: grouped when clustering
+ * is on and the round is open, otherwise unchanged.
+ * @param {State} state - Application state
+ * @returns {Submission[]}
+ */
+export const getRoundCandidates = (state) => {
+  if (!state.config.clusterSubmissions || state.roundType !== 'open') {
+    return state.submissions;
+  }
+  return clusterSubmissions(state.submissions, state.voterWeights);
+};
@@ -7,6 +7,15 @@ export const TWITCH_CLIENT_ID = '23lk121a5jnaxjv6e2pjqrpl7y6b7t';
 export const TWITCH_SCOPES = ['chat:read', 'chat:edit'];
 export const TWITCH_IRC_URL = 'wss://irc-ws.chat.twitch.tv:443';
 export const TWITCH_BOT_NICK = 'audiencemultiplayer';
+// Twitch posting (Twitch allows 20 messages per 30 seconds, so one per 1.5 seconds)
+export const TWITCH_SEND_INTERVAL_MS = 1500;
+export const TWITCH_SEND_QUEUE_MAX = 20;
+// Twitch's global cheermote prefixes (lowercased); channels can add their own
+export const TWITCH_CHEERMOTE_PREFIXES = [
+  'cheer', 'doodlecheer', 'biblethump', 'cheerwhal', 'corgo', 'scoops', 'uni', 'showlove', 'party',
+  'seemsgood', 'pride', 'kappa', 'frankerz', 'heyguys', 'dansgame', 'elegiggle', 'trihard', 'kreygasm',
+  '4head', 'swiftrage', 'notlikethis', 'failfish', 'vohiyo', 'pjsalt', 'mrdestructoid', 'bday', 'ripcheer', 'shamrock'
+];
 // AI Dungeon environment-to-API mapping
 const AID_API_MAP = {
   'play.aidungeon.com': 'api.aidungeon.com',
@@ -32,12 +41,29 @@ export const getAidWsUrl = (origin) => {
   return `wss://${apiHost}/graphql`;
 };
 export const AID_WS_PROTOCOL = 'graphql-transport-ws';
+// Kick configuration (public Pusher app the kick.com web client reads chat from)
+export const KICK_PUSHER_URL = 'wss://ws-us2.pusher.com/app/32cbd69e4b950bf97679?protocol=7&client=js&version=8.4.0-rc2&flash=false';
+export const KICK_API_URL = 'https://kick.com/api/v2';
+// YouTube Data API configuration (live chat polling; the API's pollingIntervalMillis wins when longer).
+// Each poll costs about 5 of the default 10,000 daily quota units, so one poll every 15 seconds lasts about 8 hours
+export const YOUTUBE_API_URL = 'https://www.googleapis.com/youtube/v3';
+export const YOUTUBE_MIN_POLL_MS = 15000;
+export const YOUTUBE_POLL_RETRY_MS = 10000;
+export const YOUTUBE_POLL_BACKOFF_MAX_MS = 300000;
+export const YOUTUBE_QUOTA_RETRIES = 4;
+// YouTube posting (one message per interval; YouTube rejects chat messages over 200 characters)
+export const YOUTUBE_SEND_INTERVAL_MS = 1500;
+export const YOUTUBE_SEND_QUEUE_MAX = 20;
+export const YOUTUBE_MAX_MESSAGE_LENGTH = 200;
+export const YOUTUBE_ECHO_WINDOW_MS = 30000;
 // OpenRouter configuration
 export const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
 export const OPENROUTER_REFERER = 'https://github.com/LewdLeah/Audience-Multiplayer';
 export const OPENROUTER_TITLE = 'Audience Multiplayer';
 // Submission limits
 export const MAX_SUBMISSION_LENGTH = 200;
+// AI Dungeon action types chat can submit (>say, >story, >continue; plain > is do)
+export const ACTION_TYPES = ['do', 'say', 'story', 'continue'];
 // Default values
 export const DEFAULT_MODEL = 'deepseek/deepseek-v3.2';
 export const DEFAULT_MODEL_NAME = 'DeepSeek: DeepSeek V3.2';
@@ -46,6 +72,93 @@ export const DEFAULT_VOTE_DURATION_SECONDS = 40;
 export const DEFAULT_MAX_TOKENS = 150;
 export const DEFAULT_PLAYER_NAME = 'You';
 export const DEFAULT_PARTY_MEMBER_NAME = 'Elara';
+// Tally modes for picking a winner without an API key
+export const TALLY_MODES = ['plurality', 'instant-runoff', 'approval'];
+export const DEFAULT_TALLY_MODE = 'plurality';
+// Round types: free-text submissions or AI-written options chat votes on by letter
+export const ROUND_TYPES = ['open', 'choices'];
+export const DEFAULT_ROUND_TYPE = 'open';
+export const AI_CHOICE_COUNT = 4;
+// Chat votes to retry/undo the last AI output (voters counts the requester)
+export const STORY_VOTE_DURATION_SECONDS = 20;
+export const STORY_VOTE_MIN_VOTERS = 3;
+// What a banned term does to a submission
+export const BANNED_TERM_ACTIONS = ['reject', 'mask'];
+export const DEFAULT_BANNED_TERM_ACTION = 'reject';
+// Streamer review before an action is submitted (0 = wait for the streamer)
+export const DEFAULT_REVIEW_AUTO_APPROVE_SECONDS = 30;
+// Per-user chat limits (0 disables each one)
+export const DEFAULT_SUBMISSION_COOLDOWN_SECONDS = 5;
+export const DEFAULT_VOTE_COOLDOWN_SECONDS = 2;
+export const DEFAULT_MAX_EDITS_PER_ROUND = 3;
+export const DEFAULT_SPAM_USER_THRESHOLD = 0;
+// Chat-driven popup updates are coalesced to at most one per interval
+export const CHAT_BROADCAST_INTERVAL_MS = 250;
+// How long a restored round waits for chat to connect before expired timers fire, so their announcements aren't lost
+export const CHAT_CONNECT_WAIT_MS = 10000;
+export const CHAT_CONNECT_POLL_MS = 250;
+// Tie-breaks for the no-API tally
+export const TIE_BREAKS = ['latest', 'earliest', 'random', 'streamer', 'runoff'];
+export const DEFAULT_TIE_BREAK = 'latest';
+export const RUNOFF_DURATION_SECONDS = 20;
+export const TIE_PICK_TIMEOUT_SECONDS = 60;
+// Quorum and overtime (0 disables the minimums and overtime)
+export const DEFAULT_VOTE_EXTENSION_SECONDS = 15;
+export const DEFAULT_MAX_VOTE_EXTENSIONS = 2;
+// Viewer info commands, and how often each may reply
+export const INFO_COMMANDS = ['time', 'subs', 'mine', 'help', 'points', 'top'];
+// Replies about the asking viewer, which cool down per viewer instead of for the whole chat
+export const INFO_PERSONAL_COMMANDS = ['mine', 'points'];
+export const INFO_REPLY_COOLDOWN_SECONDS = 15;
+export const INFO_TOP_SUBMISSIONS = 3;
+export const INFO_TOP_VIEWERS = 5;
+// Bits cheered during a vote that add one to a viewer's vote weight
+export const DEFAULT_BITS_PER_VOTE = 100;
+// Votes a Super Chat adds per colour tier (1 = blue ... 7 = red). YouTube prices tiers
+// the same way in every currency, so weights can't be bought cheaper in a weak one
+export const DEFAULT_SUPER_CHAT_VOTES_PER_TIER = 1;
+export const SUPER_CHAT_MAX_TIER = 7;
+// Super Chat and Super Sticker colours in the live chat tab (body and header), by tier
+export const SUPER_CHAT_TIER_COLORS = [
+  { tier: 1, rgb: [30, 136, 229] }, { tier: 1, rgb: [21, 101, 192] },
+  { tier: 2, rgb: [0, 229, 255] }, { tier: 2, rgb: [0, 184, 212] },
+  { tier: 3, rgb: [29, 233, 182] }, { tier: 3, rgb: [0, 191, 165] },
+  { tier: 4, rgb: [255, 202, 40] }, { tier: 4, rgb: [255, 179, 0] },
+  { tier: 5, rgb: [245, 124, 0] }, { tier: 5, rgb: [230, 81, 0] },
+  { tier: 6, rgb: [233, 30, 99] }, { tier: 6, rgb: [194, 24, 91] },
+  { tier: 7, rgb: [230, 33, 23] }, { tier: 7, rgb: [208, 0, 0] }
+];
+// How far (RGB distance) a colour may be from the closest tier colour and still count
+export const SUPER_CHAT_COLOR_TOLERANCE = 40;
+// Super Chat actions sent between rounds, held for the next free-text round
+export const PAID_QUEUE_MAX = 25;
+// Viewer points per round, and the optional vote-weight perk (threshold 0 = off)
+export const DEFAULT_POINTS_PER_WIN = 10;
+export const DEFAULT_POINTS_PER_CONTRIBUTION = 5;
+export const DEFAULT_POINTS_PER_VOTE = 1;
+export const DEFAULT_POINTS_PERK_WEIGHT = 1.5;
+export const LEADERBOARD_SIZE = 10;
+// Round history database, and the gap between rounds that starts a new stream session
+export const HISTORY_DB_NAME = 'amp-history';
+export const HISTORY_DB_VERSION = 1;
+export const HISTORY_SESSION_GAP_MINUTES = 60;
+// Test chat console: log length, crowd size cap and the phrases crowd members submit
+export const TEST_CHAT_LOG_SIZE = 100;
+export const TEST_CROWD_MAX = 500;
+export const TEST_CROWD_ACTIONS = [
+  'open the door', 'draw my sword', 'run away', 'hide behind the crates', 'cast a fireball',
+  'talk to the stranger', 'search the room', 'climb the tower', 'steal the map', 'light a torch',
+  'befriend the dragon', 'take a nap'
+];
+export const TEST_CROWD_DETAILS = [
+  'quietly', 'right now', 'with style', 'very carefully', 'while singing', 'and hope for the best',
+  'before it is too late', 'like a hero'
+];
+// Most time a mod can add with one !extend
+export const MAX_MOD_EXTEND_SECONDS = 300;
+// Near-duplicate grouping: token overlap needed to join a group, and words ignored when comparing
+export const CLUSTER_SIMILARITY = 0.6;
+export const CLUSTER_STOPWORDS = ['a', 'an', 'the'];
 // Periodic voting limits
 export const MIN_VOTE_DURATION_SECONDS = 5;
 export const MIN_AUTO_REPEAT_SECONDS = 20;
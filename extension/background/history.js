@@ -0,0 +1,224 @@
+// Audience Multiplayer - History Module
+// Records every round and archives it to IndexedDB, grouped into stream sessions
+/** @typedef {import('./types.js').State} State */
+/** @typedef {import('./types.js').Proposal} Proposal */
+/** @typedef {import('./types.js').RoundRecord} RoundRecord */
+/** @typedef {import('./types.js').RoundOutcome} RoundOutcome */
+/** @typedef {import('./types.js').HistorySession} HistorySession */
+import { HISTORY_DB_NAME, HISTORY_DB_VERSION, HISTORY_SESSION_GAP_MINUTES } from './constants.js';
+import { getVoteCount } from './tally.js';
+/**
+ * Gets the name a viewer last chatted under this round, for the archive.
+ * @param {State} state - Application state
+ * @param {string} key - Viewer key
+ * @returns {string}
+ */
+const getViewerName = (state, key) => {
+  return state.roundViewers.get(key)?.name || key;
+};
+/** Last archive write, so reads never miss a round that just ended */
+let pendingWrite = Promise.resolve();
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<any>} The request's result
+ */
+const promisify = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+/**
+ * Opens the history database, creating its stores on first use.
+ * @returns {Promise<IDBDatabase>}
+ */
+const openHistoryDB = () => {
+  const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+    const rounds = db.createObjectStore('rounds', { keyPath: 'id', autoIncrement: true });
+    rounds.createIndex('sessionId', 'sessionId');
+  };
+  return promisify(request);
+};
+/**
+ * Starts recording a new round. Called right after the vote opens.
+ * @param {State} state - Application state (mutated: roundRecord)
+ * @returns {void}
+ */
+export const startRoundRecord = (state) => {
+  state.roundRecord = {
+    startedAt: Date.now(),
+    endedAt: null,
+    shortId: state.shortId,
+    roundType: state.roundType,
+    mode: null,
+    submissions: [],
+    rankings: [],
+    runoff: null,
+    aiCalls: [],
+    proposals: [],
+    outcome: null,
+    finalText: null,
+    finalType: null,
+    error: null
+  };
+  return;
+};
+/**
+ * Snapshots the submissions and their voters when a vote closes.
+ * A runoff only records its own votes, the original round's are kept.
+ * @param {State} state - Application state (mutated: roundRecord)
+ * @returns {void}
+ */
+export const recordVoteClose = (state) => {
+  const record = state.roundRecord;
+  if (!record) {
+    return;
+  }
+  if (state.isRunoff) {
+    record.runoff = state.submissions.map(s => ({ index: s.index, voters: [...s.votes].map(key => getViewerName(state, key)) }));
+    return;
+  }
+  record.roundType = state.roundType;
+  record.mode = state.config.openRouterApiKey && state.roundType === 'open' ? 'blend' : state.config.tallyMode;
+  record.submissions = state.submissions.map(s => ({
+    index: s.index,
+    label: s.label,
+    user: s.user,
+    platform: state.roundViewers.get(s.viewer)?.platform || null,
+    text: s.text,
+    type: s.type,
+    timestamp: s.timestamp,
+    voters: [...s.votes].map(key => getViewerName(state, key)),
+    weightedVotes: getVoteCount(s, state.voterWeights)
+  }));
+  record.rankings = [...state.rankings].map(([key, indices]) => [getViewerName(state, key), indices]);
+  return;
+};
+/**
+ * Adds the latest OpenRouter call (option writing or a blend) to the round, once.
+ * @param {State} state - Application state (mutated: roundRecord)
+ * @param {'choices'|'blend'} kind - What the call was for
+ * @returns {void}
+ */
+export const recordAICall = (state, kind) => {
+  const record = state.roundRecord;
+  const call = state.lastAICall;
+  if (!record || !call || record.aiCalls.some(c => c.timestamp === call.timestamp)) {
+    return;
+  }
+  record.aiCalls.push({ kind, ...call });
+  return;
+};
+/**
+ * Adds a proposed action to the round. Reblends add one proposal each.
+ * @param {State} state - Application state (mutated: roundRecord)
+ * @param {Proposal} proposal - Tally winner or blend
+ * @returns {void}
+ */
+export const recordProposal = (state, proposal) => {
+  const record = state.roundRecord;
+  if (!record) {
+    return;
+  }
+  const { text, type, announcement, tally } = proposal;
+  record.proposals.push({ text, type, announcement, tally: tally || null });
+  return;
+};
+/**
+ * Records how the round ended. The first outcome sticks.
+ * @param {State} state - Application state (mutated: roundRecord)
+ * @param {RoundOutcome} outcome - How the round ended
+ * @param {Proposal|null} [proposal] - Action that was sent to AI Dungeon, if any
+ * @param {string|null} [error] - Why submitting failed
+ * @returns {void}
+ */
+export const recordOutcome = (state, outcome, proposal = null, error = null) => {
+  const record = state.roundRecord;
+  if (!record || record.outcome) {
+    return;
+  }
+  record.outcome = outcome;
+  record.finalText = proposal ? proposal.text : null;
+  record.finalType = proposal ? proposal.type : null;
+  record.error = error;
+  return;
+};
+/**
+ * Finds the session a round belongs to: the latest one if it saw a round recently,
+ * otherwise a new one.
+ * @param {IDBObjectStore} sessions - Sessions store in a readwrite transaction
+ * @param {RoundRecord} record - Round being archived
+ * @returns {Promise<HistorySession>}
+ */
+const getSessionFor = async (sessions, record) => {
+  const cursor = await promisify(sessions.openCursor(null, 'prev'));
+  const latest = cursor?.value;
+  if (latest && record.startedAt - latest.endedAt < HISTORY_SESSION_GAP_MINUTES * 60 * 1000) {
+    return latest;
+  }
+  return { startedAt: record.startedAt, endedAt: record.startedAt, rounds: 0 };
+};
+/**
+ * Finishes the round record and saves it to IndexedDB. Rounds that never
+ * recorded an outcome ended with nothing to submit. Test rounds aren't saved.
+ * @param {State} state - Application state (mutated: roundRecord)
+ * @returns {Promise<void>}
+ */
+export const archiveRound = (state) => {
+  const record = state.roundRecord;
+  state.roundRecord = null;
+  if (!record || state.rehearsal) {
+    return Promise.resolve();
+  }
+  record.endedAt = Date.now();
+  record.outcome = record.outcome || 'nothing';
+  const write = async () => {
+    const db = await openHistoryDB();
+    const tx = db.transaction(['sessions', 'rounds'], 'readwrite');
+    const sessions = tx.objectStore('sessions');
+    const session = await getSessionFor(sessions, record);
+    session.rounds++;
+    session.endedAt = record.endedAt;
+    const sessionId = await promisify(sessions.put(session));
+    await promisify(tx.objectStore('rounds').add({ ...record, sessionId, number: session.rounds }));
+    db.close();
+    console.log('[History] Archived round', session.rounds, 'of session', sessionId, '-', record.outcome);
+    return;
+  };
+  pendingWrite = pendingWrite.then(write).catch((err) => console.error('[History] Archive failed:', err));
+  return pendingWrite;
+};
+/**
+ * Loads the session list and the rounds of one session (or every session).
+ * @param {number|null} [sessionId] - Session to load rounds for, null for all, or omitted for the latest
+ * @returns {Promise<{sessions: HistorySession[], sessionId: number|null, rounds: RoundRecord[]}>} Newest session first, rounds in order
+ */
+export const loadHistory = async (sessionId) => {
+  await pendingWrite;
+  const db = await openHistoryDB();
+  const tx = db.transaction(['sessions', 'rounds'], 'readonly');
+  const sessions = (await promisify(tx.objectStore('sessions').getAll())).reverse();
+  const selected = sessionId === undefined ? (sessions[0]?.id ?? null) : sessionId;
+  const rounds = tx.objectStore('rounds');
+  const records = await promisify(selected === null ? rounds.getAll() : rounds.index('sessionId').getAll(selected));
+  db.close();
+  return { sessions, sessionId: selected, rounds: records };
+};
+/**
+ * Deletes every archived round and session.
+ * @returns {Promise<void>}
+ */
+export const clearHistory = async () => {
+  await pendingWrite;
+  const db = await openHistoryDB();
+  const tx = db.transaction(['sessions', 'rounds'], 'readwrite');
+  await promisify(tx.objectStore('sessions').clear());
+  await promisify(tx.objectStore('rounds').clear());
+  db.close();
+  console.log('[History] Cleared');
+  return;
+};
@@ -1,9 +1,22 @@
 // Audience Multiplayer - Background Service Worker
-// Orchestrates: AID WebSocket, Twitch IRC, OpenRouter, phase state machine
+// Orchestrates: AID WebSocket, chat sources, OpenRouter, phase state machine
 /** @typedef {import('./types.js').State} State */
 /** @typedef {import('./types.js').Callbacks} Callbacks */
-import { loadConfig, loadLocalState } from './storage.js';
-import { connectTwitch, disconnectTwitch, sendTwitchMessage, parseTwitchMessage } from './twitch.js';
+/** @typedef {import('./types.js').Viewer} Viewer */
+import {
+  loadConfig,
+  saveConfig,
+  loadLocalState,
+  saveLocalState,
+  saveRoundState,
+  loadRoundState,
+  loadViewerPoints,
+  saveViewerPoints
+} from './storage.js';
+import { twitchSource } from './twitch.js';
+import { kickSource } from './kick.js';
+import { youtubeSource, isYouTubeContentMessage, handleYouTubeContentMessage } from './youtube.js';
+import { registerChatSource, connectChatSource, connectChatSources, waitForChatSources, sendChatMessage, canUseModCommands, getViewer } from './chat.js';
 import {
   connectAID,
   disconnectAID,
@@ -11,59 +24,153 @@ import {
   fetchPlayerId,
   updatePlayerName,
   getResolvedPlayerName,
-  fetchMostRecentAction
+  fetchMostRecentAction,
+  sendStoryCommand
 } from './aid.js';
-import { recursiveMerge } from './openrouter.js';
-import { setVoteTimer, combineSubmissions, handleSubmission, handleVote } from './voting.js';
+import { recursiveMerge, generateChoices } from './openrouter.js';
+import {
+  setVoteTimer,
+  buildProposal,
+  proposeWinner,
+  submitProposal,
+  editProposal,
+  generateChoiceRound,
+  parseAction,
+  handleSubmission,
+  handleVote,
+  handleRanking,
+  findSubmission
+} from './voting.js';
 import { createMessageHandler } from './messages.js';
 import {
   createInitialState,
   getPublicState,
   transitionToVote,
   transitionToCombine,
+  transitionToReview,
+  transitionToRunoff,
   transitionToIdle,
-  setAutoRepeatTimer,
-  clearAutoRepeatTimer,
-  setYouTubeConnected,
-  setYouTubeDisconnected,
-  setYouTubeError
+  holdReview,
+  clearAutoRepeatTimer
 } from './state.js';
 import { togglePause } from './pause.js';
-import { MIN_VOTE_DURATION_SECONDS, MIN_AUTO_REPEAT_SECONDS } from './constants.js';
+import { startTimer, clearTimer, getTimerSlot } from './timers.js';
+import { openStoryVote, castStoryVote, closeStoryVote } from './retry.js';
+import { isUserBlocked, findBlockTargets, blockUser, unblockUser, removeSubmission } from './moderation.js';
+import { limitSubmission, chargeSubmission, limitVote } from './ratelimit.js';
+import { getRoundCandidates } from './cluster.js';
+import { getVoteCount, getRawVoteCount } from './tally.js';
+import { recordVoterWeight } from './weights.js';
+import { areSubmissionsOpen, shouldQueuePaidSubmission, queuePaidSubmission, takePaidQueue } from './paid.js';
+import { awardPoints } from './points.js';
+import { startRoundRecord, recordVoteClose, recordAICall, recordProposal, recordOutcome, archiveRound } from './history.js';
+import { createTestMessage, logTestChat, generateCrowd } from './testchat.js';
+import { breakTie } from './tiebreak.js';
+import { checkQuorum, extendVote, needsOvertime } from './quorum.js';
+import { parseInfoCommand, getInfoReply } from './info.js';
+import {
+  MIN_VOTE_DURATION_SECONDS,
+  MIN_AUTO_REPEAT_SECONDS,
+  STORY_VOTE_DURATION_SECONDS,
+  STORY_VOTE_MIN_VOTERS,
+  INFO_REPLY_COOLDOWN_SECONDS,
+  CHAT_BROADCAST_INTERVAL_MS,
+  RUNOFF_DURATION_SECONDS,
+  TIE_PICK_TIMEOUT_SECONDS,
+  MAX_MOD_EXTEND_SECONDS
+} from './constants.js';
 /** @type {State} */
 const state = createInitialState();
+registerChatSource(twitchSource);
+registerChatSource(youtubeSource);
+registerChatSource(kickSource);
 /**
- * Broadcasts current state to popup/UI.
+ * Broadcasts current state to popup/UI and checkpoints the round.
  * @returns {void}
  */
 const broadcastState = () => {
   chrome.runtime.sendMessage({ type: 'STATE_UPDATE', state: getPublicState(state) }).catch(() => {});
+  saveRoundState(state).catch((err) => console.error('[Round] Checkpoint failed:', err));
+  return;
+};
+/** Pending coalesced broadcast, see broadcastSoon */
+let chatBroadcastTimeout = null;
+/**
+ * Broadcasts state at most once per CHAT_BROADCAST_INTERVAL_MS.
+ * Used for chat-driven changes so a flood of messages doesn't flood the popup.
+ * @returns {void}
+ */
+const broadcastSoon = () => {
+  if (chatBroadcastTimeout) {
+    return;
+  }
+  chatBroadcastTimeout = setTimeout(() => {
+    chatBroadcastTimeout = null;
+    broadcastState();
+  }, CHAT_BROADCAST_INTERVAL_MS);
   return;
 };
+/** Set while test chat messages are being handled: 'message' for one, 'crowd' for a synthetic crowd */
+let injecting = null;
 /**
- * Sends a message to Twitch chat.
+ * Sends a message to every chat source that can post, and to the test chat log.
+ * Replies to injected test messages and everything in a test round stay in the
+ * log, including messages sent later by timers, so rehearsals never reach real chat.
  * @param {string} message - Message to send
  * @returns {void}
  */
-const sendTwitchMsg = (message) => {
-  sendTwitchMessage(state, message);
+const sendChatMsg = (message) => {
+  // A crowd's per-submission replies would push everything else out of the log
+  if (injecting !== 'crowd') {
+    logTestChat(state, 'bot', '', message);
+  }
+  if (!injecting && !state.rehearsal) {
+    sendChatMessage(state, message);
+  }
   return;
 };
 /** @type {Callbacks} */
 const callbacks = {
   broadcastState,
-  sendTwitchMessage: sendTwitchMsg
+  sendChatMessage: sendChatMsg
 };
 /**
- * Handles chat messages from Twitch.
- * Commands (!vote, !tally) are only allowed for broadcaster/moderators.
- * @param {import('./types.js').TwitchMessage} message - Parsed Twitch message with badges
+ * Handles normalized chat messages from every chat source, and injected test messages.
+ * Round commands (!vote, !tally, !pause, !skip...) are only allowed for broadcaster/moderators.
+ * Super Chat actions sent while submissions are closed wait for the next round.
+ * During a test round only test messages are handled, so real viewers don't mix into it.
+ * @param {import('./types.js').ChatMessage} message - Normalized chat message
  * @returns {void}
  */
-const handleTwitchChatMessage = (message) => {
-  const { user, text, isBroadcaster, isMod } = message;
-  const canUseCommands = isBroadcaster || isMod;
+const handleChatMessage = (message) => {
+  const { user, text } = message;
+  const viewer = getViewer(message);
+  const canUseCommands = canUseModCommands(message);
+  if (isUserBlocked(state, viewer)) {
+    return;
+  }
+  // Queued before weighing, so the amount counts in the round the action goes into
+  if (shouldQueuePaidSubmission(state, message)) {
+    const position = queuePaidSubmission(state, message);
+    callbacks.sendChatMessage(`💰 Thanks ${user}! Your action is queued for the next round (#${position} in line)`);
+    broadcastSoon();
+    return;
+  }
+  if (state.rehearsal && !injecting) {
+    return;
+  }
+  // Roles, cheers and Super Chats weigh this viewer's votes for the rest of the round
+  if (state.phase === 'vote') {
+    recordVoterWeight(state, message);
+  }
   // Check for commands (mods + broadcaster only)
+  const moderationMatch = text.match(/^!(remove|block|unblock)\s+@?(\S+)$/i);
+  if (moderationMatch) {
+    if (canUseCommands) {
+      handleModeration(moderationMatch[1].toLowerCase(), moderationMatch[2]);
+    }
+    return;
+  }
   if (text.toLowerCase() === '!vote') {
     if (canUseCommands) {
       handleStartVote();
@@ -76,97 +183,494 @@ const handleTwitchChatMessage = (message) => {
     }
     return;
   }
-  // During vote phase, parse votes and submissions
-  if (state.phase !== 'vote') {
+  if (handleModCommandMessage(user, text, canUseCommands)) {
     return;
   }
-  // Check for vote pattern: +1 @username or @username +1
-  const voteMatch = text.match(/^(?:\+1\s+@(\w+)|@(\w+)\s+\+1)$/i);
-  if (voteMatch) {
-    const targetUser = (voteMatch[1] || voteMatch[2]).toLowerCase();
-    handleVote(state, user, targetUser, state.config.debugMode);
-    broadcastState();
+  if (handleStoryCommandMessage(viewer, text, canUseCommands)) {
     return;
   }
-  // Check for submission prefix: > action or >action
-  const submissionMatch = text.match(/^>\s*(.+)$/);
-  if (submissionMatch) {
-    const actionText = submissionMatch[1].trim();
-    handleSubmission(state, user, actionText, state.config.debugMode);
-    broadcastState();
+  if (handleInfoCommandMessage(viewer, text)) {
+    return;
   }
+  handleVotePhaseMessage(viewer, text);
   return;
 };
 /**
- * Handles chat messages from YouTube.
- * Commands are NOT allowed from YouTube - only votes and submissions.
- * @param {string} user - YouTube username
- * @param {string} text - Message content
+ * Runs injected test messages through the chat pipeline.
+ * @param {import('./types.js').ChatMessage[]} messages - Messages to inject
+ * @param {'message'|'crowd'} kind - A single console message or a synthetic crowd
  * @returns {void}
  */
-const handleYouTubeChatMessage = (user, text) => {
-  // During vote phase only, parse votes and submissions (no commands)
+const injectTestMessages = (messages, kind) => {
+  injecting = kind;
+  try {
+    for (const message of messages) {
+      handleChatMessage(message);
+    }
+  } finally {
+    injecting = null;
+  }
+  broadcastState();
+  return;
+};
+/** Why test chat is refused while a live round is running */
+const LIVE_ROUND_ERROR = 'A live round is running. Test chat works between rounds and in test rounds';
+/**
+ * Checks whether a real (not test) round is in progress, which test chat must not touch.
+ * @returns {boolean}
+ */
+const isLiveRound = () => state.phase !== 'idle' && !state.rehearsal;
+/**
+ * Sends one message from the popup's test chat console.
+ * @param {string} user - Username to send as
+ * @param {string} text - Message content
+ * @param {string[]} badges - Badge names (broadcaster, moderator, subscriber, vip, founder)
+ * @param {number} bits - Bits cheered with the message
+ * @returns {Object} Response object for the popup
+ */
+const handleTestChat = (user, text, badges, bits) => {
+  const name = (user || '').trim().replace(/^@/, '');
+  if (!/^\w+$/.test(name) || !text?.trim()) {
+    return { error: 'Enter a username (letters, numbers, _) and a message' };
+  }
+  if (isLiveRound()) {
+    return { error: LIVE_ROUND_ERROR };
+  }
+  logTestChat(state, 'viewer', name, text.trim());
+  injectTestMessages([createTestMessage(name, text.trim(), badges || [], bits)], 'message');
+  return { success: true };
+};
+/**
+ * Fills the current round with a synthetic crowd from the test chat console.
+ * Starts a vote first when idle.
+ * @param {number} submitters - Viewers who submit an action
+ * @param {number} voters - Viewers who only vote
+ * @returns {Object} Response object for the popup
+ */
+const handleTestCrowd = (submitters, voters) => {
+  if (isLiveRound()) {
+    return { error: LIVE_ROUND_ERROR };
+  }
+  if (state.phase === 'idle') {
+    injectTestMessages([createTestMessage('test_broadcaster', '!vote', ['broadcaster'])], 'message');
+  }
   if (state.phase !== 'vote') {
+    return { error: 'Wait for the current round to finish' };
+  }
+  if (state.roundType === 'choices' && state.submissions.length === 0) {
+    return { error: 'Wait for the options to be written' };
+  }
+  const messages = generateCrowd(state, submitters, voters);
+  const before = state.submissions.length;
+  injectTestMessages(messages, 'crowd');
+  const added = state.submissions.length - before;
+  logTestChat(state, 'viewer', 'crowd', `${messages.length} messages: ${added} new submission${added === 1 ? '' : 's'}, the rest votes`);
+  broadcastState();
+  return { success: true };
+};
+/**
+ * Answers viewer info commands (!time, !subs, !mine, !help, !points, !top) from any platform.
+ * Replies go out with the other chat announcements, subject to a per-command cooldown.
+ * @param {Viewer} viewer - Viewer who sent the message
+ * @param {string} text - Message content
+ * @returns {boolean} True if the message was an info command
+ */
+const handleInfoCommandMessage = (viewer, text) => {
+  const command = parseInfoCommand(text);
+  if (!command) {
+    return false;
+  }
+  const reply = getInfoReply(state, command, viewer);
+  if (reply) {
+    callbacks.sendChatMessage(reply);
+  }
+  return true;
+};
+/**
+ * Handles round-control commands from mods: !pause, !resume, !extend, !skip,
+ * !pick, !autorepeat and !duration. Each one confirms in chat.
+ * @param {string} user - Username who sent the message
+ * @param {string} text - Message content
+ * @param {boolean} canUseCommands - Whether the user is broadcaster/moderator
+ * @returns {boolean} True if the message was a mod command (even if not allowed)
+ */
+const handleModCommandMessage = (user, text, canUseCommands) => {
+  const match = text.trim().match(/^!(pause|resume|skip|extend|pick|autorepeat|duration)(?:\s+(\S+))?$/i);
+  if (!match) {
+    return false;
+  }
+  if (!canUseCommands) {
+    return true;
+  }
+  const command = match[1].toLowerCase();
+  const arg = match[2];
+  const seconds = parseInt(arg);
+  switch (command) {
+    case 'pause':
+    case 'resume':
+      if (state.isPaused === (command === 'pause')) {
+        callbacks.sendChatMessage(state.isPaused ? '⏸ Already paused' : '▶️ Not paused');
+        break;
+      }
+      handleTogglePause();
+      callbacks.sendChatMessage(state.isPaused ? `⏸ Paused by ${user}` : `▶️ Resumed by ${user}`);
+      break;
+    case 'extend':
+      // A choice round's timer only starts once its options are posted
+      if (state.phase !== 'vote' || !(state.voteEndTime || state.pausedVoteRemaining)) {
+        callbacks.sendChatMessage('❓ No vote to extend');
+      } else if (!(seconds > 0)) {
+        callbacks.sendChatMessage('❓ Usage: !extend <seconds>');
+      } else {
+        extendVoteBy(Math.min(seconds, MAX_MOD_EXTEND_SECONDS));
+      }
+      break;
+    case 'skip':
+      skipRound(user);
+      break;
+    case 'pick':
+      if (!arg) {
+        callbacks.sendChatMessage('❓ Usage: !pick @user or !pick 3');
+      } else {
+        pickWinner(arg.replace(/^[@#]/, ''), user).catch((err) => {
+          console.error('[Mod] Pick failed:', err);
+          callbacks.sendChatMessage(`❌ Pick failed: ${err.message}`);
+        });
+      }
+      break;
+    case 'autorepeat':
+      if (arg?.toLowerCase() !== 'off' && !(seconds > 0)) {
+        callbacks.sendChatMessage('❓ Usage: !autorepeat <seconds|off>');
+      } else {
+        setAutoRepeat(arg.toLowerCase() === 'off' ? null : Math.max(seconds, MIN_AUTO_REPEAT_SECONDS)).catch((err) => {
+          console.error('[Mod] Auto-repeat save failed:', err);
+          callbacks.sendChatMessage(`❌ Couldn't change auto-repeat: ${err.message}`);
+        });
+      }
+      break;
+    case 'duration':
+      if (!(seconds > 0)) {
+        callbacks.sendChatMessage('❓ Usage: !duration <seconds>');
+      } else {
+        setVoteDuration(Math.max(seconds, MIN_VOTE_DURATION_SECONDS)).catch((err) => {
+          console.error('[Mod] Vote duration save failed:', err);
+          callbacks.sendChatMessage(`❌ Couldn't change the vote duration: ${err.message}`);
+        });
+      }
+      break;
+  }
+  return true;
+};
+/**
+ * Adds time to the current vote (mod !extend). Doesn't count towards quorum extensions.
+ * @param {number} seconds - Seconds to add
+ * @returns {void}
+ */
+const extendVoteBy = (seconds) => {
+  if (state.isPaused) {
+    state.pausedVoteRemaining = (state.pausedVoteRemaining || 0) + (seconds * 1000);
+  } else {
+    state.voteEndTime = Math.max(state.voteEndTime || 0, Date.now()) + (seconds * 1000);
+  }
+  console.log('[Mod] Vote extended by', seconds, 's');
+  applyVoteExtension(`⏱️ Voting extended by ${seconds}s`);
+  return;
+};
+/**
+ * Cancels the current round without submitting anything (mod !skip).
+ * Not allowed while an action is being blended or submitted.
+ * @param {string} user - Mod who skipped
+ * @returns {void}
+ */
+const skipRound = (user) => {
+  const canSkip = state.phase === 'vote' || state.phase === 'review' || (state.phase === 'combine' && state.pendingTie);
+  if (!canSkip) {
+    callbacks.sendChatMessage(state.phase === 'idle' ? '❓ No round to skip' : "⏳ Can't skip while an action is being submitted");
     return;
   }
-  // Check for vote pattern: +1 @username or @username +1
-  const voteMatch = text.match(/^(?:\+1\s+@(\w+)|@(\w+)\s+\+1)$/i);
-  if (voteMatch) {
-    const targetUser = (voteMatch[1] || voteMatch[2]).toLowerCase();
-    handleVote(state, user, targetUser, state.config.debugMode);
-    broadcastState();
+  console.log('[Mod] Round skipped by', user);
+  if (state.phase === 'vote') {
+    recordVoteClose(state);
+  }
+  recordOutcome(state, 'skipped');
+  state.pausedVoteRemaining = null;
+  callbacks.sendChatMessage(`⏭️ Round skipped by ${user}. Nothing was submitted`);
+  finishRound();
+  return;
+};
+/**
+ * Forces a winner during a vote or a pending tie (mod !pick).
+ * The pick still goes through streamer review when that's enabled.
+ * @param {string} target - Option number, choice letter or submitter name
+ * @param {string} user - Mod who picked
+ * @returns {Promise<void>}
+ */
+const pickWinner = async (target, user) => {
+  const canPick = state.phase === 'vote' || (state.phase === 'combine' && state.pendingTie);
+  if (!canPick) {
+    callbacks.sendChatMessage('❓ Nothing to pick right now');
     return;
   }
-  // Check for submission prefix: > action or >action
-  const submissionMatch = text.match(/^>\s*(.+)$/);
-  if (submissionMatch) {
-    const actionText = submissionMatch[1].trim();
-    handleSubmission(state, user, actionText, state.config.debugMode);
-    broadcastState();
+  const submission = findSubmission(state, target);
+  // Pick the whole group when the submission was grouped with near-duplicates
+  const winner = submission && getRoundCandidates(state).find(s => s.index === submission.index || s.memberIndices?.includes(submission.index));
+  if (!winner) {
+    callbacks.sendChatMessage(`❓ No submission found for ${target}`);
     return;
   }
+  console.log('[Mod] Winner picked by', user, ':', winner.label || '#' + winner.index);
+  if (state.phase === 'vote') {
+    state.pausedVoteRemaining = null;
+    recordVoteClose(state);
+    transitionToCombine(state);
+  } else {
+    clearTimer(state, 'tieTimer');
+    state.pendingTie = null;
+  }
+  callbacks.broadcastState();
+  const count = { votes: getVoteCount(winner, state.voterWeights), rawVotes: getRawVoteCount(winner), rounds: 1 };
+  await proceedWithProposal(proposeWinner(state, winner, count, `picked by ${user}`));
   return;
 };
 /**
- * Handles incoming Twitch IRC messages.
- * @param {string} line - Raw IRC line
- * @returns {void}
+ * Changes the auto-repeat cooldown from chat (mod !autorepeat) and saves it.
+ * Turning it on while idle schedules the next vote; turning it off cancels a scheduled one.
+ * @param {number|null} seconds - New cooldown, or null to turn auto-repeat off
+ * @returns {Promise<void>}
  */
-const handleTwitchMessage = (line) => {
-  const parsed = parseTwitchMessage(line);
-  if (!parsed) {
-    return;
+const setAutoRepeat = async (seconds) => {
+  await saveConfig(state, { autoRepeatCooldownSeconds: seconds });
+  if (state.phase === 'idle') {
+    if (!seconds) {
+      clearAutoRepeatTimer(state);
+      state.pausedAutoRepeatRemaining = null;
+    } else if (!state.nextVoteStartTime && !state.isPaused) {
+      scheduleAutoRepeat();
+    }
   }
-  handleTwitchChatMessage(parsed);
+  callbacks.sendChatMessage(seconds ? `🔁 Auto-repeat set to ${seconds}s` : '🔁 Auto-repeat off');
+  callbacks.broadcastState();
   return;
 };
 /**
- * Handles YouTube chat connection event.
- * @param {string} videoId - YouTube video ID
- * @returns {void}
+ * Changes the vote duration from chat (mod !duration) and saves it. Applies from the next vote.
+ * @param {number} seconds - New vote duration
+ * @returns {Promise<void>}
  */
-const handleYouTubeConnectedEvent = (videoId) => {
-  setYouTubeConnected(state, videoId);
-  broadcastState();
+const setVoteDuration = async (seconds) => {
+  await saveConfig(state, { voteDurationSeconds: seconds });
+  callbacks.sendChatMessage(`⏱️ Vote duration set to ${seconds}s from the next vote`);
+  callbacks.broadcastState();
   return;
 };
 /**
- * Handles YouTube chat disconnection event.
+ * Handles !retry / !undo and the !yes / !no votes that follow.
+ * Mods act instantly; anyone else opens a short chat vote.
+ * @param {Viewer} viewer - Viewer who sent the message
+ * @param {string} text - Message content
+ * @param {boolean} canUseCommands - Whether the user is broadcaster/moderator
+ * @returns {boolean} True if the message was a retry/undo command or vote
+ */
+const handleStoryCommandMessage = (viewer, text, canUseCommands) => {
+  const lower = text.toLowerCase();
+  if (injecting && ['!yes', '!no', '!retry', '!undo'].includes(lower)) {
+    callbacks.sendChatMessage('🧪 Retry and undo change the real adventure, so test chat can\'t use them');
+    return true;
+  }
+  if (lower === '!yes' || lower === '!no') {
+    if (castStoryVote(state, viewer, lower === '!yes')) {
+      broadcastState();
+      return true;
+    }
+    // Shares the info reply cooldown, so a chat full of !yes gets one answer
+    const now = Date.now();
+    if (now - (state.infoCooldowns.get('storyvote') || 0) >= INFO_REPLY_COOLDOWN_SECONDS * 1000) {
+      state.infoCooldowns.set('storyvote', now);
+      callbacks.sendChatMessage('❓ No retry or undo vote is open. Start one with !retry or !undo');
+    }
+    return true;
+  }
+  if (lower !== '!retry' && lower !== '!undo') {
+    return false;
+  }
+  const command = lower === '!retry' ? 'retry' : 'undo';
+  if (state.phase === 'combine') {
+    callbacks.sendChatMessage(`⏳ Can't ${command} while an action is being submitted`);
+    return true;
+  }
+  if (canUseCommands) {
+    // A mod decision overrides any open chat vote
+    closeStoryVote(state);
+    runStoryCommand(command);
+    return true;
+  }
+  if (openStoryVote(state, command, viewer)) {
+    callbacks.sendChatMessage(`🔁 ${viewer.name} wants to ${command} the last AI output. Vote !yes or !no (${STORY_VOTE_DURATION_SECONDS}s, needs ${STORY_VOTE_MIN_VOTERS} voters)`);
+    startTimer(state, 'storyVoteTimer', state.storyVote.endTime, handleStoryVoteEnd);
+    broadcastState();
+  }
+  return true;
+};
+/**
+ * Runs a moderation command from a mod in chat or from the popup.
+ * Remove drops a submission and its votes; block also ignores the user from now on.
+ * @param {'remove'|'block'|'unblock'} command - Moderation command
+ * @param {string} target - Username, option number for remove/block, or blocked-list key for unblock
+ * @returns {Object} Response object for the popup
+ */
+const handleModeration = (command, target) => {
+  if (command === 'unblock') {
+    const name = unblockUser(state, target);
+    if (!name) {
+      return { error: `${target} is not blocked` };
+    }
+    saveLocalState(state).catch((err) => console.error('[Moderation] Save failed:', err));
+    callbacks.sendChatMessage(`✅ ${name} is no longer blocked`);
+    callbacks.broadcastState();
+    return { success: true };
+  }
+  const submission = state.phase === 'vote' ? findSubmission(state, target) : undefined;
+  if (command === 'remove') {
+    if (!submission) {
+      callbacks.sendChatMessage(`❓ No submission found for ${target}`);
+      return { error: `No submission found for ${target}` };
+    }
+    removeSubmission(state, submission);
+    callbacks.sendChatMessage(`🗑️ Removed #${submission.index} from ${submission.user}`);
+    callbacks.broadcastState();
+    return { success: true };
+  }
+  // Block by name, or by option number during a vote
+  if (!submission && /^\d+$/.test(target)) {
+    callbacks.sendChatMessage(`❓ No submission found for ${target}`);
+    return { error: `No submission found for ${target}` };
+  }
+  if (submission && !submission.viewer) {
+    return { error: `${submission.label || '#' + submission.index} was written by the AI` };
+  }
+  const targets = submission ? [{ key: submission.viewer, name: submission.user }] : findBlockTargets(state, target);
+  for (const { key, name } of targets) {
+    blockUser(state, key, name);
+  }
+  saveLocalState(state).catch((err) => console.error('[Moderation] Save failed:', err));
+  callbacks.sendChatMessage(`⛔ ${targets[0].name} is blocked from submitting and voting`);
+  callbacks.broadcastState();
+  return { success: true };
+};
+/**
+ * Closes the retry/undo vote and runs the command if it passed.
  * @returns {void}
  */
-const handleYouTubeDisconnectedEvent = () => {
-  setYouTubeDisconnected(state);
+const handleStoryVoteEnd = () => {
+  const closed = closeStoryVote(state);
+  if (!closed) {
+    return;
+  }
+  const { vote, passed, enoughVoters } = closed;
+  const tally = `${vote.yes.size} yes / ${vote.no.size} no`;
+  if (passed) {
+    callbacks.sendChatMessage(`✅ Chat voted to ${vote.command} (${tally})`);
+    runStoryCommand(vote.command);
+  } else if (!enoughVoters) {
+    callbacks.sendChatMessage(`🚫 Not enough votes to ${vote.command} (${tally}, needs ${STORY_VOTE_MIN_VOTERS} voters)`);
+    broadcastState();
+  } else {
+    callbacks.sendChatMessage(`🚫 Chat voted not to ${vote.command} (${tally})`);
+    broadcastState();
+  }
+  return;
+};
+/**
+ * Sends retry/undo to AI Dungeon and reports the outcome in chat and the popup.
+ * @param {'retry'|'undo'} command - Command to send
+ * @returns {Promise<void>}
+ */
+const runStoryCommand = async (command) => {
+  try {
+    await sendStoryCommand(state, command);
+    state.lastStoryCommand = { command, success: true, timestamp: Date.now() };
+    callbacks.sendChatMessage(command === 'retry' ? '🔁 Retried the last AI output' : '↩️ Undid the last action');
+  } catch (err) {
+    console.error('[Retry]', command, 'error:', err);
+    state.lastStoryCommand = { command, success: false, error: err.message, timestamp: Date.now() };
+    callbacks.sendChatMessage(`❌ ${command} failed: ${err.message}`);
+  }
   broadcastState();
   return;
 };
 /**
- * Handles YouTube DOM breakage error.
- * @param {import('./types.js').YouTubeDOMError} details - Error details
+ * Parses votes, rankings and submissions from any chat platform.
+ * Only active during the vote phase.
+ * @param {Viewer} viewer - Viewer who sent the message
+ * @param {string} text - Message content
  * @returns {void}
  */
-const handleYouTubeDOMErrorEvent = (details) => {
-  setYouTubeError(state, details);
-  broadcastState();
+const handleVotePhaseMessage = (viewer, text) => {
+  if (state.phase !== 'vote') {
+    return;
+  }
+  // Remember each viewer's platform and latest name for points, history and blocking
+  state.roundViewers.set(viewer.key, { platform: viewer.platform, name: viewer.name });
+  const user = viewer.name;
+  // Debug mode is for testing from one account, so it skips the per-user limits
+  const debugMode = state.config.debugMode;
+  const canVote = () => debugMode || limitVote(state, viewer);
+  // Multiple-choice rounds: vote by letter (A, !b, #C)
+  const letterMatch = state.roundType === 'choices' && text.match(/^[!#]?([a-z])$/i);
+  if (letterMatch) {
+    if (canVote()) {
+      handleVote(state, viewer, letterMatch[1], debugMode);
+    }
+    broadcastSoon();
+    return;
+  }
+  // Check for vote pattern: !3, #3, 3, +1 #3, +1 @username or @username +1
+  const voteMatch = text.match(/^(?:[!#]?(\d+)|\+1\s+[@#]?(.+)|@(.+?)\s+\+1)$/i);
+  if (voteMatch) {
+    const target = (voteMatch[1] || voteMatch[2] || voteMatch[3]).trim();
+    if (canVote()) {
+      handleVote(state, viewer, target, debugMode);
+    }
+    broadcastSoon();
+    return;
+  }
+  // Check for ranked ballot: !rank 3 1 2 or !rank @alice @bob
+  const rankMatch = text.match(/^!rank\s+(.+)$/i);
+  if (rankMatch) {
+    const choices = rankMatch[1].split(/[\s,]+/).map(c => c.replace(/^[@#]/, '')).filter(Boolean);
+    if (canVote()) {
+      handleRanking(state, viewer, choices, debugMode);
+    }
+    broadcastSoon();
+    return;
+  }
+  // Check for submission prefix: > action, >say, >story, >continue (not in multiple-choice rounds or runoffs)
+  const submissionMatch = state.roundType === 'open' && !state.isRunoff && text.match(/^>\s*(.+)$/);
+  if (submissionMatch) {
+    const { type, text: actionText } = parseAction(submissionMatch[1].trim());
+    const limited = !debugMode && limitSubmission(state, viewer, actionText);
+    if (limited) {
+      console.log('[RateLimit] Submission from', user, 'rejected:', limited);
+      broadcastSoon();
+      return;
+    }
+    const accepted = handleSubmission(state, viewer, actionText, debugMode, type);
+    if (accepted && !debugMode) {
+      chargeSubmission(state, viewer, actionText, !accepted.isNew);
+    }
+    if (accepted?.isNew) {
+      // Show the stored text, which may have banned terms masked
+      const { index, text: storedText } = accepted.submission;
+      const shown = type === 'continue' ? '(continue)' : `"${storedText}"`;
+      const typeTag = type === 'do' || type === 'continue' ? '' : `${type} `;
+      callbacks.sendChatMessage(`📥 #${index} ${user}: ${typeTag}${shown} (vote with !${index})`);
+      // A last-second idea still gets time to collect votes
+      if (needsOvertime(state) && extendVote(state, state.config.overtimeSeconds)) {
+        applyVoteExtension(`⏰ Overtime! Voting now ends in ${state.config.overtimeSeconds}s`);
+      }
+    }
+    broadcastSoon();
+  }
   return;
 };
 /**
@@ -183,14 +687,116 @@ const handleStartVote = () => {
   if (!transitionToVote(state)) {
     return;
   }
+  // A vote started from test chat stays a rehearsal until it ends
+  state.rehearsal = injecting !== null;
+  startRoundRecord(state);
+  if (state.config.roundType === 'choices' && state.config.openRouterApiKey) {
+    startChoiceRound();
+    return;
+  }
+  openVoting(getOpenRoundMessage());
+  return;
+};
+/**
+ * Replays queued Super Chat actions into the round that just opened, oldest first.
+ * They go through the chat pipeline again, so blocks, limits and weights apply.
+ * @returns {void}
+ */
+const releasePaidQueue = () => {
+  for (const message of takePaidQueue(state)) {
+    handleChatMessage(message);
+  }
+  return;
+};
+/**
+ * Builds the chat announcement for a free-text round.
+ * @returns {string}
+ */
+const getOpenRoundMessage = () => {
+  const rankHint = state.config.tallyMode === 'plurality' ? '' : ' or !rank 1 2 3';
+  return `📝 Voting started! Submit with > action, vote with !number${rankHint}`;
+};
+/**
+ * Announces the round and starts the vote timer.
+ * @param {string} message - Chat announcement (duration is appended)
+ * @param {number} [seconds] - Vote length (defaults to the configured vote duration)
+ * @returns {void}
+ */
+const openVoting = (message, seconds = state.config.voteDurationSeconds) => {
   // Clamp vote duration to minimum
-  const duration = Math.max(state.config.voteDurationSeconds, MIN_VOTE_DURATION_SECONDS);
-  // Track vote end time for UI timer
-  state.voteEndTime = Date.now() + (duration * 1000);
+  const duration = Math.max(seconds, MIN_VOTE_DURATION_SECONDS);
   console.log('[Phase] Vote started for', duration, 'seconds');
-  callbacks.sendTwitchMessage(`📝 Voting started! Submit with > action, vote with +1 @name (${duration}s)`);
+  callbacks.sendChatMessage(`${message} (${duration}s)`);
+  if (state.isPaused) {
+    // Paused while options were generating, hold the full duration
+    state.pausedVoteRemaining = duration * 1000;
+  } else {
+    // Track vote end time for UI timer
+    state.voteEndTime = Date.now() + (duration * 1000);
+    setVoteTimer(state, handleVoteTimeout);
+  }
+  // After the timer is set, so queued actions don't look like last-second ideas and trigger overtime
+  if (areSubmissionsOpen(state)) {
+    releasePaidQueue();
+  }
+  callbacks.broadcastState();
+  return;
+};
+/**
+ * Starts a multiple-choice round: the timer only begins once the AI options are posted.
+ * Falls back to a free-text round if generation fails.
+ * @returns {Promise<void>}
+ */
+const startChoiceRound = async () => {
+  state.roundType = 'choices';
+  callbacks.sendChatMessage('🤖 Writing options...');
+  callbacks.broadcastState();
+  const generated = await generateChoiceRound(state, callbacks, { generateChoices, fetchMostRecentAction });
+  recordAICall(state, 'choices');
+  // A mod may have tallied while we were waiting
+  if (state.phase !== 'vote') {
+    return;
+  }
+  if (generated) {
+    openVoting('🗳️ Vote with the letter of your choice!');
+  } else {
+    openVoting(getOpenRoundMessage());
+  }
+  return;
+};
+/**
+ * Ends the vote when its timer runs out, unless quorum isn't met and an extension is left.
+ * Manual ends (!tally, the popup) skip the quorum check.
+ * @returns {void}
+ */
+const handleVoteTimeout = () => {
+  if (state.phase !== 'vote') {
+    return;
+  }
+  const shortfalls = checkQuorum(state);
+  if (shortfalls.length > 0) {
+    const seconds = state.config.voteExtensionSeconds;
+    if (extendVote(state, seconds)) {
+      applyVoteExtension(`⏳ Not enough yet (${shortfalls.join(', ')}). Voting extended by ${seconds}s`);
+      return;
+    }
+    console.log('[Quorum] Not met after', state.voteExtensions, 'extensions:', shortfalls.join(', '));
+  }
+  handleEndVote();
+  return;
+};
+/**
+ * Restarts the vote timer at the extended voteEndTime and announces it.
+ * While paused the new remaining time takes effect on resume.
+ * @param {string} message - Chat announcement
+ * @returns {void}
+ */
+const applyVoteExtension = (message) => {
+  if (!state.isPaused) {
+    setVoteTimer(state, handleVoteTimeout);
+  }
+  callbacks.sendChatMessage(message);
   callbacks.broadcastState();
-  setVoteTimer(state, handleEndVote);
   return;
 };
 /**
@@ -198,15 +804,25 @@ const handleStartVote = () => {
  * @returns {void}
  */
 const handleEndVote = () => {
+  // Combine is also entered from review, which !tally must not trigger
+  if (state.phase !== 'vote') {
+    return;
+  }
   // Clear vote pause state when ending
   state.pausedVoteRemaining = null;
+  recordVoteClose(state);
   if (!transitionToCombine(state)) {
     return;
   }
   console.log('[Phase] Vote ended with', state.submissions.length, 'submissions');
-  const hasApiKey = !!state.config.openRouterApiKey;
-  const action = hasApiKey ? 'Blending...' : 'Tallying votes...';
-  callbacks.sendTwitchMessage(`⏱️ Voting closed! ${state.submissions.length} submission${state.submissions.length === 1 ? '' : 's'} received. ${action}`);
+  if (state.isRunoff) {
+    callbacks.sendChatMessage('⏱️ Runoff closed! Tallying votes...');
+  } else if (state.roundType === 'choices') {
+    callbacks.sendChatMessage('⏱️ Voting closed! Tallying votes...');
+  } else {
+    const action = state.config.openRouterApiKey ? 'Blending...' : 'Tallying votes...';
+    callbacks.sendChatMessage(`⏱️ Voting closed! ${state.submissions.length} submission${state.submissions.length === 1 ? '' : 's'} received. ${action}`);
+  }
   callbacks.broadcastState();
   combineAndSubmit();
   return;
@@ -229,46 +845,302 @@ const scheduleAutoRepeat = () => {
   const delaySeconds = Math.max(interval, MIN_AUTO_REPEAT_SECONDS);
   state.nextVoteStartTime = Date.now() + (delaySeconds * 1000);
   console.log('[Phase] Auto-repeat scheduled in', delaySeconds, 'seconds');
-  const timer = setTimeout(() => {
-    state.nextVoteStartTime = null;
-    state.autoRepeatTimer = null;
-    handleStartVote();
-  }, delaySeconds * 1000);
-  setAutoRepeatTimer(state, timer);
+  startTimer(state, 'autoRepeatTimer', state.nextVoteStartTime, handleAutoRepeatStart);
   callbacks.broadcastState();
   return;
 };
+/**
+ * Starts the next vote when the auto-repeat countdown expires.
+ * @returns {void}
+ */
+const handleAutoRepeatStart = () => {
+  state.nextVoteStartTime = null;
+  handleStartVote();
+  return;
+};
 /**
  * Toggles pause state - freezes countdown timers.
  * @returns {void}
  */
 const handleTogglePause = () => {
-  togglePause(state, handleEndVote, handleStartVote, scheduleAutoRepeat, broadcastState);
+  togglePause(state, handleVoteTimeout, handleStartVote, scheduleAutoRepeat, broadcastState);
   return;
 };
+/** @type {import('./types.js').VotingDeps} */
+const votingDeps = {
+  submitToAID,
+  recursiveMerge,
+  fetchMostRecentAction
+};
 /**
- * Combines submissions and submits to AID.
+ * Combines submissions, then submits to AID or holds the result for streamer review.
  * @returns {Promise<void>}
  */
 const combineAndSubmit = async () => {
-  await combineSubmissions(state, callbacks, {
-    submitToAID,
-    recursiveMerge,
-    fetchMostRecentAction
-  });
+  const proposal = await buildProposal(state, callbacks, votingDeps);
+  recordAICall(state, 'blend');
+  await proceedWithProposal(proposal);
+  return;
+};
+/**
+ * Carries a round on from its proposal: settle a pending tie, hold for review, or submit.
+ * @param {import('./types.js').Proposal|{tie: import('./types.js').PendingTie}|null} proposal - Result of buildProposal
+ * @returns {Promise<void>}
+ */
+const proceedWithProposal = async (proposal) => {
+  if (!proposal) {
+    finishRound();
+    return;
+  }
+  if ('tie' in proposal) {
+    openTieBreak(proposal.tie);
+    return;
+  }
+  recordProposal(state, proposal);
+  if (state.config.reviewEnabled) {
+    openReview(proposal);
+    return;
+  }
+  await submitAndFinish(proposal);
+  return;
+};
+/**
+ * Submits the round's action, records the result and returns to idle.
+ * @param {import('./types.js').Proposal} proposal - Action to submit
+ * @returns {Promise<void>}
+ */
+const submitAndFinish = async (proposal) => {
+  const result = await submitProposal(state, proposal, callbacks, votingDeps);
+  recordOutcome(state, result.success ? 'submitted' : 'failed', proposal, result.error);
+  if (result.success) {
+    awardRoundPoints(proposal);
+  }
+  finishRound();
+  return;
+};
+/**
+ * Awards viewer points for a submitted action and saves them.
+ * @param {import('./types.js').Proposal} proposal - The action that was submitted
+ * @returns {void}
+ */
+const awardRoundPoints = (proposal) => {
+  if (!proposal.credits || awardPoints(state, proposal.credits) === 0) {
+    return;
+  }
+  saveViewerPoints(state).catch((err) => console.error('[Points] Save failed:', err));
+  return;
+};
+/**
+ * Clears every viewer's points (popup reset).
+ * @returns {Promise<Object>} Response object for the popup
+ */
+const handleResetPoints = async () => {
+  state.viewerPoints = new Map();
+  await saveViewerPoints(state);
+  console.log('[Points] Leaderboard reset');
+  callbacks.broadcastState();
+  return { success: true };
+};
+/**
+ * Describes tied options for chat, e.g. '#2 "open the door" vs #5 "run"'.
+ * @param {number[]} indices - Option numbers of the tied submissions
+ * @returns {string}
+ */
+const describeTie = (indices) => {
+  return getRoundCandidates(state)
+    .filter(s => indices.includes(s.index))
+    .map(s => `${s.label || '#' + s.index} "${s.type === 'continue' ? '(continue)' : s.text}"`)
+    .join(' vs ');
+};
+/**
+ * Starts a tie-break that needs more input: a runoff vote, or a streamer pick in the popup.
+ * @param {import('./types.js').PendingTie} tie - The unsettled tie
+ * @returns {void}
+ */
+const openTieBreak = (tie) => {
+  const description = describeTie(tie.indices);
+  if (tie.strategy === 'runoff') {
+    if (!transitionToRunoff(state, tie.indices)) {
+      return;
+    }
+    const voteHint = state.submissions.map(s => s.label || '!' + s.index).join(' or ');
+    state.voteEndTime = null;
+    openVoting(`⚖️ Tie! Runoff: ${description}. Vote with ${voteHint}`, RUNOFF_DURATION_SECONDS);
+    return;
+  }
+  state.pendingTie = { ...tie, endTime: Date.now() + (TIE_PICK_TIMEOUT_SECONDS * 1000) };
+  callbacks.sendChatMessage(`⚖️ Tie! ${description}. The streamer is picking the winner...`);
+  startTimer(state, 'tieTimer', state.pendingTie.endTime, handleTieTimeout);
+  callbacks.broadcastState();
+  return;
+};
+/**
+ * Settles a pending tie with the streamer's pick from the popup.
+ * @param {number} index - Option number the streamer picked
+ * @returns {Promise<Object>} Response object for the popup
+ */
+const handleTiePick = async (index) => {
+  const tie = state.pendingTie;
+  if (!tie || !tie.indices.includes(index)) {
+    return { error: 'That option is not part of a tie' };
+  }
+  const winner = getRoundCandidates(state).find(s => s.index === index);
+  if (!winner) {
+    return { error: 'That option is no longer in the round' };
+  }
+  clearTimer(state, 'tieTimer');
+  state.pendingTie = null;
+  console.log('[TieBreak] Streamer picked', winner.label || '#' + winner.index);
+  await proceedWithProposal(proposeWinner(state, winner, getTieCount(tie, index), 'tie broken by the streamer'));
+  return { success: true };
+};
+/**
+ * Falls back to the latest tied submission when the streamer doesn't pick in time.
+ * @returns {void}
+ */
+const handleTieTimeout = () => {
+  const tie = state.pendingTie;
+  if (!tie) {
+    return;
+  }
+  state.pendingTie = null;
+  const tied = getRoundCandidates(state).filter(s => tie.indices.includes(s.index));
+  if (tied.length === 0) {
+    console.log('[TieBreak] Tied options were removed, nothing to submit');
+    finishRound();
+    return;
+  }
+  const { winner } = breakTie('latest', tied);
+  proceedWithProposal(proposeWinner(state, winner, getTieCount(tie, winner.index), 'no pick in time, tie went to the latest submission'));
+  return;
+};
+/**
+ * Gets a tied option's count for the winner announcement.
+ * @param {import('./types.js').PendingTie} tie - The settled tie
+ * @param {number} index - Option number that won
+ * @returns {{votes: number, rawVotes: number, rounds: number}}
+ */
+const getTieCount = (tie, index) => {
+  const rawVotes = tie.rawVotes?.[tie.indices.indexOf(index)] ?? tie.votes;
+  return { votes: tie.votes, rawVotes, rounds: tie.rounds };
+};
+/**
+ * Returns to idle after a round and schedules the next auto-vote if configured.
+ * A test round doesn't schedule one, so a rehearsal never starts a real round.
+ * @returns {void}
+ */
+const finishRound = () => {
+  const rehearsal = state.rehearsal;
+  archiveRound(state);
   transitionToIdle(state);
-  // Schedule next auto-vote if configured
-  scheduleAutoRepeat();
+  if (!rehearsal) {
+    scheduleAutoRepeat();
+  }
   callbacks.broadcastState();
   return;
 };
+/**
+ * Holds a proposal for streamer review and starts the auto-approve countdown.
+ * @param {import('./types.js').Proposal} proposal - Action awaiting review
+ * @returns {void}
+ */
+const openReview = (proposal) => {
+  if (!transitionToReview(state, proposal)) {
+    return;
+  }
+  callbacks.sendChatMessage('🧐 The streamer is reviewing the action...');
+  if (state.review.endTime) {
+    startTimer(state, 'reviewTimer', state.review.endTime, handleReviewTimeout);
+  }
+  callbacks.broadcastState();
+  return;
+};
+/**
+ * Auto-approves the proposal when the streamer doesn't respond in time.
+ * @returns {void}
+ */
+const handleReviewTimeout = () => {
+  console.log('[Review] Auto-approve deadline reached');
+  callbacks.sendChatMessage('⏱️ No review in time, auto-approving');
+  handleReviewDecision('approve');
+  return;
+};
+/**
+ * Applies the streamer's review decision from the popup.
+ * @param {'approve'|'hold'|'reblend'|'reject'} decision - What to do with the proposal
+ * @param {string} [text] - Text from the review box (approve only; differs from the proposal when edited)
+ * @returns {Promise<Object>} Response object for the popup
+ */
+const handleReviewDecision = async (decision, text) => {
+  if (state.phase !== 'review' || !state.review) {
+    return { error: 'No action is awaiting review' };
+  }
+  console.log('[Review] Decision:', decision);
+  switch (decision) {
+    case 'hold':
+      holdReview(state);
+      callbacks.broadcastState();
+      return { success: true };
+    case 'reject':
+      callbacks.sendChatMessage('🚫 The streamer rejected the action. Nothing was submitted');
+      recordOutcome(state, 'rejected');
+      finishRound();
+      return { success: true };
+    case 'reblend': {
+      if (!state.review.canReblend) {
+        return { error: 'Only blended actions can be reblended' };
+      }
+      transitionToCombine(state);
+      callbacks.sendChatMessage('🔄 The streamer asked for a new blend...');
+      callbacks.broadcastState();
+      const proposal = await buildProposal(state, callbacks, votingDeps);
+      recordAICall(state, 'blend');
+      if (proposal) {
+        recordProposal(state, proposal);
+        openReview(proposal);
+      } else {
+        finishRound();
+      }
+      return { success: true };
+    }
+    case 'approve': {
+      const proposal = editProposal(state, state.review, text ?? state.review.text);
+      if (proposal.type !== 'continue' && !proposal.text) {
+        return { error: 'Action text is empty' };
+      }
+      transitionToCombine(state);
+      callbacks.broadcastState();
+      await submitAndFinish(proposal);
+      return { success: true };
+    }
+    default:
+      return { error: 'Unknown review decision' };
+  }
+};
 /**
  * Connects to Twitch IRC with current config.
  * @throws {TwitchError} If missing channel or token
  * @returns {void}
  */
 const doConnectTwitch = () => {
-  connectTwitch(state, state.config, handleTwitchMessage, broadcastState);
+  connectChatSource(state, 'twitch', handleChatMessage, broadcastState);
+  return;
+};
+/**
+ * Reconnects YouTube chat with current config (Data API polling or the live chat tab).
+ * @returns {void}
+ */
+const doConnectYouTube = () => {
+  connectChatSource(state, 'youtube', handleChatMessage, broadcastState);
+  return;
+};
+/**
+ * Connects to Kick chat with current config.
+ * @throws {KickError} If missing channel
+ * @returns {void}
+ */
+const doConnectKick = () => {
+  connectChatSource(state, 'kick', handleChatMessage, broadcastState);
   return;
 };
 /**
@@ -309,44 +1181,118 @@ const handleMessage = createMessageHandler(state, {
   getPublicState: () => getPublicState(state),
   broadcastState,
   doConnectTwitch,
+  doConnectKick,
+  doConnectYouTube,
   doConnectAID,
   doUpdatePlayerName,
   handleStartVote,
   handleEndVote,
-  handleTogglePause
+  handleTogglePause,
+  handleReviewDecision,
+  handleModeration,
+  handleTiePick,
+  handleResetPoints,
+  handleTestChat,
+  handleTestCrowd
 });
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  // Handle YouTube content script messages synchronously
-  if (message.type === 'YOUTUBE_CHAT_MESSAGE') {
-    // Only process if user has configured a YouTube URL
-    if (state.config.youtubeUrl) {
-      handleYouTubeChatMessage(message.user, message.text);
-    }
+  // Acknowledge YouTube content script messages right away
+  if (isYouTubeContentMessage(message)) {
+    // Wait for the round checkpoint so a waking worker doesn't drop chat
+    ready.then(() => handleYouTubeContentMessage(state, message, sender));
     sendResponse({ ok: true });
     return false;
   }
-  if (message.type === 'YOUTUBE_CONNECTED') {
-    handleYouTubeConnectedEvent(message.videoId);
-    sendResponse({ ok: true });
-    return false;
+  // Handle other messages via the async handler
+  ready.then(() => handleMessage(message, sender)).then(sendResponse);
+  return true;
+});
+// Registered synchronously so alarms can wake an evicted worker
+chrome.alarms.onAlarm.addListener((alarm) => {
+  const slot = getTimerSlot(alarm.name);
+  if (!slot) {
+    return;
   }
-  if (message.type === 'YOUTUBE_DISCONNECTED') {
-    handleYouTubeDisconnectedEvent();
-    sendResponse({ ok: true });
-    return false;
+  ready.then(() => {
+    // No live timer means it already fired, was cancelled, or was handled by restoreRound
+    if (!state[slot]) {
+      return;
+    }
+    console.log('[Phase] Alarm fired:', alarm.name);
+    clearTimer(state, slot);
+    TIMER_HANDLERS[slot]();
+  });
+});
+/**
+ * What each timer slot does when it expires.
+ * @type {Record<import('./timers.js').TimerSlot, function(): void>}
+ */
+const TIMER_HANDLERS = {
+  voteTimer: () => handleVoteTimeout(),
+  autoRepeatTimer: () => handleAutoRepeatStart(),
+  storyVoteTimer: () => handleStoryVoteEnd(),
+  reviewTimer: () => handleReviewTimeout(),
+  tieTimer: () => handleTieTimeout()
+};
+/**
+ * Rebuilds timers for a round restored from the session checkpoint.
+ * Expired timers fire immediately; an interrupted combine is not retried
+ * since the action may already have been submitted.
+ * @returns {void}
+ */
+const restoreRound = () => {
+  const now = Date.now();
+  if (state.phase === 'vote') {
+    if (state.isPaused) {
+      console.log('[Round] Vote restored paused');
+    } else if (!state.voteEndTime || state.voteEndTime <= now) {
+      console.log('[Round] Vote expired while suspended, tallying now');
+      handleVoteTimeout();
+    } else {
+      console.log('[Round] Vote resumed with', Math.round((state.voteEndTime - now) / 1000), 's remaining');
+      setVoteTimer(state, handleVoteTimeout);
+    }
+  } else if (state.phase === 'combine' && state.pendingTie) {
+    if (state.pendingTie.endTime <= now) {
+      console.log('[Round] Tie pick expired while suspended');
+      handleTieTimeout();
+    } else {
+      startTimer(state, 'tieTimer', state.pendingTie.endTime, handleTieTimeout);
+    }
+  } else if (state.phase === 'combine') {
+    console.log('[Round] Combine was interrupted, returning to idle');
+    recordOutcome(state, 'interrupted');
+    archiveRound(state);
+    transitionToIdle(state);
+    scheduleAutoRepeat();
+  } else if (state.phase === 'review') {
+    if (!state.review?.endTime) {
+      console.log('[Round] Review restored, waiting for the streamer');
+    } else if (state.review.endTime <= now) {
+      console.log('[Round] Review expired while suspended, auto-approving');
+      handleReviewTimeout();
+    } else {
+      startTimer(state, 'reviewTimer', state.review.endTime, handleReviewTimeout);
+    }
+  } else if (!state.isPaused && state.nextVoteStartTime) {
+    if (state.nextVoteStartTime <= now) {
+      console.log('[Round] Auto-repeat expired while suspended, starting vote');
+      handleAutoRepeatStart();
+    } else {
+      console.log('[Round] Auto-repeat resumed with', Math.round((state.nextVoteStartTime - now) / 1000), 's remaining');
+      startTimer(state, 'autoRepeatTimer', state.nextVoteStartTime, handleAutoRepeatStart);
+    }
   }
-  if (message.type === 'YOUTUBE_DOM_ERROR') {
-    // Only show error if user has configured a YouTube URL
-    if (state.config.youtubeUrl) {
-      handleYouTubeDOMErrorEvent(message.details);
+  // Retry/undo votes run independently of the round phase
+  if (state.storyVote) {
+    if (state.storyVote.endTime <= now) {
+      handleStoryVoteEnd();
+    } else {
+      startTimer(state, 'storyVoteTimer', state.storyVote.endTime, handleStoryVoteEnd);
     }
-    sendResponse({ ok: true });
-    return false;
   }
-  // Handle other messages via the async handler
-  handleMessage(message, sender).then(sendResponse);
-  return true;
-});
+  return;
+};
 /**
  * Initializes the background service worker.
  * @returns {Promise<void>}
@@ -355,6 +1301,8 @@ const init = async () => {
   console.log('[AMP] Initializing...');
   await loadConfig(state);
   await loadLocalState(state);
+  await loadViewerPoints(state);
+  const restored = await loadRoundState(state);
   if (state.firebaseToken && state.shortId) {
     try {
       await doConnectAID();
@@ -362,14 +1310,14 @@ const init = async () => {
       console.log('[AID] Initial connection deferred:', err.message);
     }
   }
-  if (state.config.twitchChannel && state.config.twitchOAuthToken) {
-    try {
-      doConnectTwitch();
-    } catch (err) {
-      console.log('[Twitch] Initial connection deferred:', err.message);
-    }
+  const started = connectChatSources(state, handleChatMessage, broadcastState);
+  // Timers that expired while suspended fire on restore, and their announcements need chat
+  if (restored) {
+    await waitForChatSources(state, started);
+    restoreRound();
   }
   console.log('[AMP] Ready');
   return;
 };
-init();
+/** Resolves once config and the round checkpoint are restored */
+const ready = init();
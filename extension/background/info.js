@@ -0,0 +1,193 @@
+// Audience Multiplayer - Info Module
+// Replies to viewer info commands (!time, !subs, !mine, !points, !top, !help)
+/** @typedef {import('./types.js').State} State */
+/** @typedef {import('./types.js').Submission} Submission */
+/** @typedef {import('./types.js').Viewer} Viewer */
+import { INFO_COMMANDS, INFO_PERSONAL_COMMANDS, INFO_REPLY_COOLDOWN_SECONDS, INFO_TOP_SUBMISSIONS, INFO_TOP_VIEWERS } from './constants.js';
+import { getVoteCount, getRawVoteCount } from './tally.js';
+import { getRoundCandidates } from './cluster.js';
+import { describeVotes, formatWeight } from './weights.js';
+import { getLeaderboard, getViewerStanding } from './points.js';
+/**
+ * Formats milliseconds as m:ss for chat.
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+const formatRemaining = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+/**
+ * Short chat label for a submission, e.g. '#3 "open the door"' or 'B "run"'.
+ * @param {Submission} submission - Submission to describe
+ * @returns {string}
+ */
+const describeOption = (submission) => {
+  const text = submission.type === 'continue' ? '(continue)' : submission.text;
+  const shown = text.length > 40 ? text.substring(0, 39) + '…' : text;
+  return `${submission.label || '#' + submission.index} "${shown}"`;
+};
+/**
+ * Replies to !time with the vote countdown or the wait until the next vote.
+ * @param {State} state - Application state
+ * @returns {string}
+ */
+const replyTime = (state) => {
+  const now = Date.now();
+  if (state.phase === 'vote') {
+    if (state.isPaused) {
+      return `⏸ Voting is paused with ${formatRemaining(state.pausedVoteRemaining || 0)} left`;
+    }
+    return `⏱️ ${formatRemaining((state.voteEndTime || now) - now)} left to vote`;
+  }
+  if (state.phase !== 'idle') {
+    return '⏳ Voting is closed, the action is on its way';
+  }
+  if (state.isPaused && state.pausedAutoRepeatRemaining) {
+    return `⏸ Paused, the next vote starts ${formatRemaining(state.pausedAutoRepeatRemaining)} after resuming`;
+  }
+  if (state.nextVoteStartTime) {
+    return `⏱️ Next vote in ${formatRemaining(state.nextVoteStartTime - now)}`;
+  }
+  return '💤 No vote running. The streamer will start the next one';
+};
+/**
+ * Replies to !subs with the most-voted options so far.
+ * @param {State} state - Application state
+ * @returns {string}
+ */
+const replySubs = (state) => {
+  if (state.phase !== 'vote') {
+    return '📋 No vote running';
+  }
+  const candidates = getRoundCandidates(state);
+  if (candidates.length === 0) {
+    return '📋 No submissions yet. Submit with > action';
+  }
+  const weighted = (s) => getVoteCount(s, state.voterWeights);
+  // Raw count first, then the weighted total when weights changed it, e.g. (3/5.5)
+  const shownCount = (s) => getRawVoteCount(s) === weighted(s) ? String(weighted(s)) : `${getRawVoteCount(s)}/${formatWeight(weighted(s))}`;
+  const top = [...candidates]
+    .sort((a, b) => (weighted(b) - weighted(a)) || (a.index - b.index))
+    .slice(0, INFO_TOP_SUBMISSIONS)
+    .map(s => `${describeOption(s)} (${shownCount(s)})`);
+  const more = candidates.length > top.length ? ` +${candidates.length - top.length} more` : '';
+  return `📋 Top: ${top.join(', ')}${more}`;
+};
+/**
+ * Replies to !mine with the viewer's own submission and votes this round.
+ * @param {State} state - Application state
+ * @param {Viewer} viewer - Viewer who asked
+ * @returns {string}
+ */
+const replyMine = (state, viewer) => {
+  const { key, name: user } = viewer;
+  if (state.phase !== 'vote') {
+    return `📌 @${user} no vote running`;
+  }
+  const parts = [];
+  const own = state.submissions.find(s => s.viewer === key);
+  if (own) {
+    parts.push(`your submission ${describeOption(own)} has ${describeVotes(getRawVoteCount(own), getVoteCount(own, state.voterWeights))}`);
+  }
+  const votedFor = state.submissions.filter(s => s !== own && s.votes.has(key));
+  if (votedFor.length > 0) {
+    parts.push(`you voted for ${votedFor.map(s => s.label || '#' + s.index).join(', ')}`);
+  }
+  const ranking = state.rankings.get(key);
+  if (ranking?.length > 0) {
+    parts.push(`you ranked ${ranking.map(i => '#' + i).join(' ')}`);
+  }
+  if (parts.length === 0) {
+    return `📌 @${user} you haven't submitted or voted this round`;
+  }
+  return `📌 @${user} ${parts.join(', ')}`;
+};
+/**
+ * Replies to !points with the viewer's total and leaderboard rank.
+ * @param {State} state - Application state (mutated: viewerPoints, when moving an old entry)
+ * @param {Viewer} viewer - Viewer who asked
+ * @returns {string}
+ */
+const replyPoints = (state, viewer) => {
+  const user = viewer.name;
+  const standing = getViewerStanding(state, viewer);
+  if (!standing) {
+    return `🏅 @${user} no points yet. Submit or vote to earn some`;
+  }
+  const { entry, rank, total } = standing;
+  return `🏅 @${user} has ${entry.points} point${entry.points === 1 ? '' : 's'} (#${rank} of ${total})`;
+};
+/**
+ * Replies to !top with the leaderboard leaders.
+ * @param {State} state - Application state
+ * @returns {string}
+ */
+const replyTop = (state) => {
+  const leaders = getLeaderboard(state, INFO_TOP_VIEWERS);
+  if (leaders.length === 0) {
+    return '🏆 No points earned yet';
+  }
+  return `🏆 Top: ${leaders.map((e, i) => `${i + 1}. ${e.name} (${e.points})`).join(', ')}`;
+};
+/**
+ * Replies to !help with the syntax for the current round.
+ * @param {State} state - Application state
+ * @returns {string}
+ */
+const replyHelp = (state) => {
+  const info = 'Info: !time !subs !mine !points !top';
+  if (state.phase === 'vote' && state.roundType === 'choices') {
+    return `ℹ️ Vote with the letter of an option (A, B...). ${info}`;
+  }
+  const rankHint = state.config.tallyMode === 'plurality' ? '' : ', rank with !rank 3 1 2';
+  return `ℹ️ Submit with > action (or >say, >story, >continue), vote with !number or +1 @user${rankHint}. ${info}`;
+};
+/**
+ * Parses an info command from chat.
+ * @param {string} text - Message content
+ * @returns {string|null} Command name without the '!', or null if it isn't one
+ */
+export const parseInfoCommand = (text) => {
+  const lower = text.trim().toLowerCase();
+  const command = lower.slice(1);
+  return lower.startsWith('!') && INFO_COMMANDS.includes(command) ? command : null;
+};
+/**
+ * Builds the reply to an info command, unless that command replied too recently.
+ * General commands share one cooldown across the whole chat, so a busy chat gets one
+ * reply per command; personal ones (!mine, !points) cool down per viewer, so one
+ * viewer asking doesn't keep everyone else from getting their own answer.
+ * @param {State} state - Application state (mutated: infoCooldowns)
+ * @param {string} command - Command from parseInfoCommand
+ * @param {Viewer} viewer - Viewer who asked
+ * @returns {string|null} Reply to post, or null while cooling down
+ */
+export const getInfoReply = (state, command, viewer) => {
+  const now = Date.now();
+  const cooldownMs = INFO_REPLY_COOLDOWN_SECONDS * 1000;
+  for (const [key, lastReply] of state.infoCooldowns) {
+    if (now - lastReply >= cooldownMs) {
+      state.infoCooldowns.delete(key);
+    }
+  }
+  const cooldownKey = INFO_PERSONAL_COMMANDS.includes(command) ? `${command}:${viewer.key}` : command;
+  if (state.infoCooldowns.has(cooldownKey)) {
+    return null;
+  }
+  state.infoCooldowns.set(cooldownKey, now);
+  switch (command) {
+    case 'time':
+      return replyTime(state);
+    case 'subs':
+      return replySubs(state);
+    case 'mine':
+      return replyMine(state, viewer);
+    case 'points':
+      return replyPoints(state, viewer);
+    case 'top':
+      return replyTop(state);
+    default:
+      return replyHelp(state);
+  }
+};
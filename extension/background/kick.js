@@ -0,0 +1,221 @@
+// Audience Multiplayer - Kick Module
+// Reads Kick chat over its public Pusher WebSocket and parses role badges
+/** @typedef {import('./types.js').State} State */
+/** @typedef {import('./types.js').Config} Config */
+/** @typedef {import('./types.js').ChatMessage} ChatMessage */
+/** @typedef {import('./types.js').ChatSource} ChatSource */
+import { KICK_PUSHER_URL, KICK_API_URL } from './constants.js';
+import { createChatMessage } from './chat.js';
+export class KickError extends Error {
+  /** @param {string} message */
+  constructor(message) {
+    super(message);
+    this.name = 'KickError';
+  }
+}
+/** Bumped on every connect/disconnect so a slow chatroom lookup can't open a stale socket */
+let connectAttempt = 0;
+/**
+ * Parses a Kick ChatMessageEvent payload into a normalized chat message.
+ * Emotes ([emote:123:name]) are removed so a message with an emote can still carry a vote.
+ * @param {Object} payload - Decoded event data from the Pusher frame
+ * @returns {ChatMessage|null} Parsed message or null if it has no sender or text
+ */
+export const parseKickMessage = (payload) => {
+  const sender = payload?.sender;
+  if (!sender?.username || typeof payload.content !== 'string') {
+    return null;
+  }
+  const text = payload.content.replace(/\[emote:\d+:[^\]]*\]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return null;
+  }
+  const badgeTypes = (sender.identity?.badges || []).map(b => String(b.type).toLowerCase());
+  return createChatMessage({
+    platform: 'kick',
+    userId: sender.id !== undefined ? String(sender.id) : null,
+    user: sender.username,
+    text,
+    roles: {
+      broadcaster: badgeTypes.includes('broadcaster'),
+      moderator: badgeTypes.includes('moderator'),
+      subscriber: badgeTypes.includes('subscriber'),
+      vip: badgeTypes.includes('vip'),
+      founder: badgeTypes.includes('founder')
+    },
+    raw: payload
+  });
+};
+/**
+ * Looks up a channel's chatroom id. A numeric channel is taken as the chatroom id itself.
+ * @param {string} channel - Kick channel slug or chatroom id
+ * @throws {KickError} If the channel doesn't exist or the lookup fails
+ * @returns {Promise<string>}
+ */
+const resolveChatroomId = async (channel) => {
+  if (/^\d+$/.test(channel)) {
+    return channel;
+  }
+  const response = await fetch(`${KICK_API_URL}/channels/${encodeURIComponent(channel.toLowerCase())}`);
+  if (response.status === 404) {
+    throw new KickError(`Kick channel not found: ${channel}`);
+  }
+  if (!response.ok) {
+    throw new KickError(`Kick channel lookup failed (${response.status})`);
+  }
+  const data = await response.json();
+  if (!data?.chatroom?.id) {
+    throw new KickError(`Kick channel has no chatroom: ${channel}`);
+  }
+  return String(data.chatroom.id);
+};
+/**
+ * Disconnects from Kick chat if connected.
+ * @param {State} state - Application state (mutated: kickSocket, kickConnected)
+ * @returns {void}
+ */
+export const disconnectKick = (state) => {
+  connectAttempt++;
+  if (state.kickSocket) {
+    state.kickSocket.onclose = null;
+    state.kickSocket.close();
+    state.kickSocket = null;
+  }
+  state.kickConnected = false;
+  return;
+};
+/**
+ * Decodes a Pusher frame. Pusher double-encodes event data as a JSON string.
+ * @param {string} raw - WebSocket message
+ * @returns {{event: string, data: *}|null} Null if the frame isn't valid JSON
+ */
+const decodeFrame = (raw) => {
+  try {
+    const frame = JSON.parse(raw);
+    const data = typeof frame.data === 'string' ? JSON.parse(frame.data) : frame.data;
+    return { event: frame.event, data };
+  } catch (err) {
+    console.warn('[Kick] Skipping malformed frame:', err.message);
+    return null;
+  }
+};
+/**
+ * Opens the Pusher WebSocket and subscribes to the chatroom.
+ * @param {State} state - Application state (mutated: kickSocket, kickConnected, kickError)
+ * @param {string} chatroomId - Chatroom to subscribe to
+ * @param {string} url - Pusher WebSocket URL
+ * @param {function(Object): void} onMessage - Called with each ChatMessageEvent payload
+ * @param {function(): void} onConnectionChange - Called when the subscription starts or the socket closes
+ * @returns {void}
+ */
+const openKickSocket = (state, chatroomId, url, onMessage, onConnectionChange) => {
+  const socket = new WebSocket(url);
+  state.kickSocket = socket;
+  socket.onmessage = (event) => {
+    const frame = decodeFrame(event.data);
+    if (!frame) {
+      return;
+    }
+    const { data } = frame;
+    switch (frame.event) {
+      case 'pusher:connection_established':
+        console.log('[Kick] Connected, joining chatroom', chatroomId);
+        socket.send(JSON.stringify({ event: 'pusher:subscribe', data: { auth: '', channel: `chatrooms.${chatroomId}.v2` } }));
+        break;
+      case 'pusher_internal:subscription_succeeded':
+        state.kickConnected = true;
+        state.kickError = null;
+        onConnectionChange();
+        break;
+      case 'pusher:ping':
+        socket.send(JSON.stringify({ event: 'pusher:pong', data: {} }));
+        break;
+      case 'pusher:error':
+        console.error('[Kick] Pusher error:', data?.message || data);
+        break;
+      case 'App\\Events\\ChatMessageEvent':
+        onMessage(data);
+        break;
+    }
+  };
+  socket.onclose = () => {
+    console.log('[Kick] Disconnected');
+    state.kickSocket = null;
+    state.kickConnected = false;
+    onConnectionChange();
+  };
+  socket.onerror = (err) => {
+    console.error('[Kick] Error:', err);
+  };
+  return;
+};
+/**
+ * Connects to Kick chat for the configured channel. The chatroom lookup runs in
+ * the background; if it fails, kickError is set and onConnectionChange is called.
+ * @param {State} state - Application state (mutated: kickSocket, kickConnected, kickError)
+ * @param {Config} config - User configuration
+ * @param {function(Object): void} onMessage - Called with each ChatMessageEvent payload
+ * @param {function(): void} [onConnectionChange] - Called when the connection state changes
+ * @param {string} [url] - Pusher WebSocket URL, KICK_PUSHER_URL by default; point it at a local
+ *   WebSocket server that speaks the Pusher protocol to test without Kick
+ * @throws {KickError} If no channel is configured
+ * @returns {void}
+ */
+export const connectKick = (state, config, onMessage, onConnectionChange = () => {}, url = KICK_PUSHER_URL) => {
+  if (!config.kickChannel) {
+    throw new KickError('Cannot connect - missing Kick channel');
+  }
+  if (state.kickSocket) {
+    console.log('[Kick] Already connected');
+    return;
+  }
+  const attempt = ++connectAttempt;
+  const channel = config.kickChannel.trim();
+  state.kickError = null;
+  console.log('[Kick] Connecting to', channel);
+  resolveChatroomId(channel).then((chatroomId) => {
+    if (attempt !== connectAttempt || state.kickSocket) {
+      return;
+    }
+    openKickSocket(state, chatroomId, url, onMessage, onConnectionChange);
+  }).catch((err) => {
+    if (attempt !== connectAttempt) {
+      return;
+    }
+    console.error('[Kick] Connection failed:', err.message);
+    state.kickError = err.message;
+    onConnectionChange();
+  });
+  return;
+};
+/**
+ * Kick chat source. Read-only: posting to Kick chat needs a bot account and isn't supported.
+ * @type {ChatSource}
+ */
+export const kickSource = {
+  id: 'kick',
+  label: 'Kick',
+  isEnabled: (state) => !!state.config.kickChannel,
+  connect: (state, onMessage, onStatusChange, url) => {
+    const onPayload = (payload) => {
+      const message = parseKickMessage(payload);
+      if (message) {
+        onMessage(message);
+      }
+      return;
+    };
+    connectKick(state, state.config, onPayload, onStatusChange, url);
+    return;
+  },
+  disconnect: disconnectKick,
+  getStatus: (state) => {
+    if (state.kickError) {
+      return { status: 'error', detail: 'Error - ' + state.kickError };
+    }
+    if (state.kickConnected) {
+      return { status: 'connected', detail: 'Connected' };
+    }
+    return { status: 'disconnected', detail: state.kickSocket ? 'Joining chatroom' : 'Disconnected' };
+  },
+  send: null
+};
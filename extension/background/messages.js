@@ -5,7 +5,10 @@
 import { TOKEN_EXPIRY_DURATION_MS } from './constants.js';
 import { saveConfig, saveLocalState } from './storage.js';
 import { disconnectTwitch, authenticateTwitch, disconnectTwitchAuth } from './twitch.js';
+import { disconnectKick } from './kick.js';
 import { disconnectAID } from './aid.js';
+import { getLeaderboard } from './points.js';
+import { loadHistory, clearHistory } from './history.js';
 /**
  * Creates a message handler with injected dependencies.
  * @param {State} state - Application state
@@ -13,11 +16,19 @@ import { disconnectAID } from './aid.js';
  * @param {function(): Object} deps.getPublicState - Get serializable state
  * @param {function(): void} deps.broadcastState - Broadcast state to popup
  * @param {function(): void} deps.doConnectTwitch - Connect to Twitch
+ * @param {function(): void} deps.doConnectKick - Connect to Kick
+ * @param {function(): void} deps.doConnectYouTube - Reconnect YouTube chat
  * @param {function(): Promise<void>} deps.doConnectAID - Connect to AI Dungeon
  * @param {function(): Promise<void>} deps.doUpdatePlayerName - Update player character name
  * @param {function(): void} deps.handleStartVote - Start voting phase
  * @param {function(): void} deps.handleEndVote - End voting phase
  * @param {function(): void} deps.handleTogglePause - Toggle pause state
+ * @param {function(string, string=): Promise<Object>} deps.handleReviewDecision - Approve/hold/reblend/reject the action under review
+ * @param {function(string, string): Object} deps.handleModeration - Remove a submission or block/unblock a user
+ * @param {function(number): Promise<Object>} deps.handleTiePick - Settle a tie with the streamer's pick
+ * @param {function(): Promise<Object>} deps.handleResetPoints - Clear the viewer points leaderboard
+ * @param {function(string, string, string[], number): Object} deps.handleTestChat - Inject a test chat message
+ * @param {function(number, number): Object} deps.handleTestCrowd - Inject a synthetic crowd into the round
  * @returns {function(Object, chrome.runtime.MessageSender): Promise<Object>}
  */
 export const createMessageHandler = (state, deps) => {
@@ -25,11 +36,19 @@ export const createMessageHandler = (state, deps) => {
     getPublicState,
     broadcastState,
     doConnectTwitch,
+    doConnectKick,
+    doConnectYouTube,
     doConnectAID,
     doUpdatePlayerName,
     handleStartVote,
     handleEndVote,
-    handleTogglePause
+    handleTogglePause,
+    handleReviewDecision,
+    handleModeration,
+    handleTiePick,
+    handleResetPoints,
+    handleTestChat,
+    handleTestCrowd
   } = deps;
   /**
    * Handles messages from popup and content scripts.
@@ -46,7 +65,7 @@ export const createMessageHandler = (state, deps) => {
       case 'GET_STATE':
         return getPublicState();
       case 'SAVE_CONFIG':
-        return handleSaveConfig(state, message, doConnectTwitch, doUpdatePlayerName, broadcastState);
+        return handleSaveConfig(state, message, { doConnectTwitch, doConnectKick, doConnectYouTube }, doUpdatePlayerName, broadcastState);
       case 'START_VOTE':
         handleStartVote();
         return { success: true };
@@ -56,6 +75,28 @@ export const createMessageHandler = (state, deps) => {
       case 'TOGGLE_PAUSE':
         handleTogglePause();
         return { success: true };
+      case 'REVIEW_DECISION':
+        return await handleReviewDecision(message.decision, message.text);
+      case 'MODERATE':
+        return handleModeration(message.command, message.target);
+      case 'TIE_PICK':
+        return await handleTiePick(message.index);
+      case 'RESET_POINTS':
+        return await handleResetPoints();
+      case 'EXPORT_POINTS':
+        return { success: true, leaderboard: getLeaderboard(state) };
+      case 'GET_HISTORY':
+        return handleGetHistory(message.sessionId);
+      case 'CLEAR_HISTORY':
+        return handleClearHistory();
+      case 'TEST_CHAT':
+        return handleTestChat(message.user, message.text, message.badges, message.bits);
+      case 'TEST_CROWD':
+        return handleTestCrowd(message.submitters, message.voters);
+      case 'CLEAR_TEST_CHAT':
+        state.testChatLog = [];
+        broadcastState();
+        return { success: true };
       case 'CONNECT_TWITCH':
         return handleConnectTwitch(doConnectTwitch);
       case 'DISCONNECT_TWITCH':
@@ -70,6 +111,32 @@ export const createMessageHandler = (state, deps) => {
     }
   };
 };
+/**
+ * Handles GET_HISTORY from popup.
+ * @param {number|null} [sessionId] - Session to load, null for all, or omitted for the latest
+ * @returns {Promise<Object>}
+ */
+const handleGetHistory = async (sessionId) => {
+  try {
+    return { success: true, ...await loadHistory(sessionId) };
+  } catch (err) {
+    console.error('[History] Load failed:', err);
+    return { error: err.message };
+  }
+};
+/**
+ * Handles CLEAR_HISTORY from popup.
+ * @returns {Promise<Object>}
+ */
+const handleClearHistory = async () => {
+  try {
+    await clearHistory();
+    return { success: true };
+  } catch (err) {
+    console.error('[History] Clear failed:', err);
+    return { error: err.message };
+  }
+};
 /**
  * Handles TOKEN_UPDATE from content script.
  * @param {State} state
@@ -122,13 +189,17 @@ const handleShortIdUpdate = async (state, message, doConnectAID) => {
  * Handles SAVE_CONFIG from popup.
  * @param {State} state
  * @param {Object} message
- * @param {function(): void} doConnectTwitch
+ * @param {{doConnectTwitch: function(): void, doConnectKick: function(): void, doConnectYouTube: function(): void}} connectors - Chat source (re)connect functions
  * @param {function(): Promise<void>} doUpdatePlayerName
  * @param {function(): void} broadcastState
  * @returns {Promise<Object>}
  */
-const handleSaveConfig = async (state, message, doConnectTwitch, doUpdatePlayerName, broadcastState) => {
+const handleSaveConfig = async (state, message, connectors, doUpdatePlayerName, broadcastState) => {
+  const { doConnectTwitch, doConnectKick, doConnectYouTube } = connectors;
   const oldChannel = state.config.twitchChannel;
+  const oldKickChannel = state.config.kickChannel;
+  const oldYouTubeUrl = state.config.youtubeUrl;
+  const oldYouTubeKey = state.config.youtubeApiKey;
   const oldToken = state.config.twitchOAuthToken;
   const oldPlayerName = state.config.playerCharacterName;
   await saveConfig(state, message.config);
@@ -145,6 +216,25 @@ const handleSaveConfig = async (state, message, doConnectTwitch, doUpdatePlayerN
       console.log('[Twitch] Connection deferred:', err.message);
     }
   }
+  // Reconnect Kick if its channel changed (an empty channel just disconnects)
+  if (message.config.kickChannel !== undefined && message.config.kickChannel !== oldKickChannel) {
+    disconnectKick(state);
+    if (state.config.kickChannel) {
+      try {
+        doConnectKick();
+      } catch (err) {
+        console.log('[Kick] Connection deferred:', err.message);
+      }
+    }
+    broadcastState();
+  }
+  // Restart YouTube polling if the URL or key changed
+  const youtubeUrlChanged = message.config.youtubeUrl !== undefined && message.config.youtubeUrl !== oldYouTubeUrl;
+  const youtubeKeyChanged = message.config.youtubeApiKey !== undefined && message.config.youtubeApiKey !== oldYouTubeKey;
+  if (youtubeUrlChanged || youtubeKeyChanged) {
+    doConnectYouTube();
+    broadcastState();
+  }
   // Update player character name in AID if it changed
   const playerNameChanged = message.config.playerCharacterName !== undefined && message.config.playerCharacterName !== oldPlayerName;
   if (playerNameChanged) {
@@ -0,0 +1,157 @@
+// Audience Multiplayer - Moderation Module
+// Blocked users, banned terms, and removing submissions mid-round
+/** @typedef {import('./types.js').State} State */
+/** @typedef {import('./types.js').Config} Config */
+/** @typedef {import('./types.js').Submission} Submission */
+/** @typedef {import('./types.js').Viewer} Viewer */
+/**
+ * Parses the banned-term list, one term per line. Lines written as /pattern/flags
+ * are regular expressions; anything else matches as a whole word, ignoring case.
+ * Invalid regular expressions are skipped.
+ * @param {string} bannedTerms - Newline-separated terms
+ * @returns {RegExp[]} Global patterns ready for replace()
+ */
+export const parseBannedTerms = (bannedTerms) => {
+  const patterns = [];
+  for (const line of bannedTerms.split('\n')) {
+    const term = line.trim();
+    if (!term) {
+      continue;
+    }
+    const regexMatch = term.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+      if (regexMatch) {
+        const flags = regexMatch[2].includes('g') ? regexMatch[2] : regexMatch[2] + 'g';
+        patterns.push(new RegExp(regexMatch[1], flags));
+      } else {
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        patterns.push(new RegExp(`(?<!\\w)${escaped}(?!\\w)`, 'gi'));
+      }
+    } catch (err) {
+      console.warn('[Moderation] Skipping invalid banned term:', term, err.message);
+    }
+  }
+  return patterns;
+};
+/**
+ * Checks submission text against the banned terms.
+ * Depending on bannedTermAction, a match either rejects the text or masks it with asterisks.
+ * @param {Config} config - User configuration
+ * @param {string} text - Submission text
+ * @returns {{allowed: boolean, text: string}} Whether to accept it, and the (possibly masked) text
+ */
+export const applyBannedTerms = (config, text) => {
+  let matched = false;
+  let masked = text;
+  for (const pattern of parseBannedTerms(config.bannedTerms || '')) {
+    masked = masked.replace(pattern, (match) => {
+      matched = matched || match.length > 0;
+      return '*'.repeat(match.length);
+    });
+  }
+  if (!matched) {
+    return { allowed: true, text };
+  }
+  if (config.bannedTermAction === 'mask') {
+    console.log('[Moderation] Masked banned term in submission');
+    return { allowed: true, text: masked };
+  }
+  console.log('[Moderation] Rejected submission with banned term');
+  return { allowed: false, text };
+};
+/**
+ * Builds the blocked-list key for a name that isn't tied to an account, which
+ * blocks that name on every platform.
+ * @param {string} name - Username
+ * @returns {string} e.g. '*:coolviewer'
+ */
+const getNameKey = (name) => {
+  return `*:${name.toLowerCase()}`;
+};
+/**
+ * Checks whether a viewer is on the blocked list, by account or by name.
+ * @param {State} state - Application state
+ * @param {Viewer} viewer - Viewer to check
+ * @returns {boolean}
+ */
+export const isUserBlocked = (state, viewer) => {
+  return state.blockedUsers.has(viewer.key) || state.blockedUsers.has(getNameKey(viewer.name));
+};
+/**
+ * Resolves a name typed by a mod to the accounts that chatted under it this round.
+ * A name nobody used this round is blocked by name instead.
+ * @param {State} state - Application state
+ * @param {string} name - Username to look up
+ * @returns {{key: string, name: string}[]}
+ */
+export const findBlockTargets = (state, name) => {
+  const lower = name.toLowerCase();
+  const seen = [...state.roundViewers]
+    .filter(([, viewer]) => viewer.name.toLowerCase() === lower)
+    .map(([key, viewer]) => ({ key, name: viewer.name }));
+  return seen.length > 0 ? seen : [{ key: getNameKey(name), name }];
+};
+/**
+ * Drops a submission from the round along with every vote and ranking for it.
+ * Viewers who voted for it get their vote back.
+ * @param {State} state - Application state (mutated: submissions, rankings, voterChoices)
+ * @param {Submission} submission - Submission to remove
+ * @returns {void}
+ */
+export const removeSubmission = (state, submission) => {
+  state.submissions = state.submissions.filter(s => s !== submission);
+  for (const [voter, indices] of state.rankings) {
+    state.rankings.set(voter, indices.filter(i => i !== submission.index));
+  }
+  for (const [voter, index] of state.voterChoices) {
+    if (index === submission.index) {
+      state.voterChoices.delete(voter);
+    }
+  }
+  console.log('[Moderation] Removed submission #' + submission.index, 'from', submission.user);
+  return;
+};
+/**
+ * Blocks a viewer: adds them to the blocked list and drops their submissions and votes.
+ * The caller persists the list.
+ * @param {State} state - Application state (mutated: blockedUsers, submissions, rankings, voterChoices)
+ * @param {string} key - Viewer key, or a name key from findBlockTargets
+ * @param {string} name - Display name to show in the blocked list
+ * @returns {void}
+ */
+export const blockUser = (state, key, name) => {
+  state.blockedUsers.set(key, name);
+  for (const submission of state.submissions.filter(s => s.viewer === key)) {
+    removeSubmission(state, submission);
+  }
+  for (const submission of state.submissions) {
+    submission.votes.delete(key);
+  }
+  state.rankings.delete(key);
+  state.voterChoices.delete(key);
+  console.log('[Moderation] Blocked', name, '(' + key + ')');
+  return;
+};
+/**
+ * Removes a viewer from the blocked list, by blocked-list key (from the popup)
+ * or by name (from chat, which unblocks every account blocked under it).
+ * The caller persists the list.
+ * @param {State} state - Application state (mutated: blockedUsers)
+ * @param {string} target - Blocked-list key or username
+ * @returns {string|null} Name that was unblocked, or null if nothing was blocked
+ */
+export const unblockUser = (state, target) => {
+  const lower = target.toLowerCase();
+  const keys = state.blockedUsers.has(target)
+    ? [target]
+    : [...state.blockedUsers].filter(([, name]) => name.toLowerCase() === lower).map(([key]) => key);
+  if (keys.length === 0) {
+    return null;
+  }
+  const name = state.blockedUsers.get(keys[0]);
+  for (const key of keys) {
+    state.blockedUsers.delete(key);
+  }
+  console.log('[Moderation] Unblocked', name);
+  return name;
+};
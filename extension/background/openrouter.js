@@ -1,9 +1,10 @@
 // Audience Multiplayer - OpenRouter Module
-// Handles LLM API calls and recursive merge logic
+// Handles LLM API calls, recursive merge and multiple-choice generation
 /** @typedef {import('./types.js').Config} Config */
 /** @typedef {import('./types.js').Submission} Submission */
 /** @typedef {import('./types.js').AIDContext} AIDContext */
-import { OPENROUTER_API_URL, OPENROUTER_REFERER, OPENROUTER_TITLE } from './constants.js';
+/** @typedef {import('./types.js').ActionType} ActionType */
+import { OPENROUTER_API_URL, OPENROUTER_REFERER, OPENROUTER_TITLE, AI_CHOICE_COUNT } from './constants.js';
 /**
  * Builds the system prompt for combining submissions.
  * @param {string} partyMemberName - Character name for the party member
@@ -23,6 +24,57 @@ Your task is to synthesize the submitted actions into ONE coherent third-person
 - Do NOT begin with "${partyMemberName}" or any character name - the game engine adds that automatically
 - Write in third person (e.g. "leaps forward and grabs the rope" not "${partyMemberName} leaps forward")
 - Actions should flow naturally from the current story moment`;
+/**
+ * Builds the system prompt for combining "say" submissions into one line of dialogue.
+ * @param {string} partyMemberName - Character name for the party member
+ * @returns {string} The system prompt
+ */
+const buildSaySystemPrompt = (partyMemberName) => `You are helping combine multiple player suggestions into a single line of dialogue spoken by **${partyMemberName}** in a collaborative interactive fiction story.
+
+Your task is to synthesize the submitted lines into ONE thing ${partyMemberName} says that:
+- Incorporates the best elements from each suggestion when possible
+- Sounds natural in ${partyMemberName}'s voice and fits the current scene
+- Is concise (1-2 sentences maximum)
+
+## Formatting Rules
+
+- Write ONLY the spoken words, no quotation marks, explanations or commentary
+- Do NOT add "${partyMemberName} says" or any dialogue tag - the game engine adds that automatically`;
+/**
+ * Builds the system prompt for combining "story" submissions into one passage of narration.
+ * @param {string} partyMemberName - Character name for the party member
+ * @returns {string} The system prompt
+ */
+const buildStorySystemPrompt = (partyMemberName) => `You are helping combine multiple player suggestions into a single passage of narration in a collaborative interactive fiction story featuring **${partyMemberName}**.
+
+Your task is to synthesize the submitted narration into ONE short passage that:
+- Incorporates the best elements from each suggestion when possible
+- Fits naturally with the story context and tone
+- Maintains narrative consistency with established characters and setting
+- Is concise (1-2 sentences maximum)
+
+## Formatting Rules
+
+- Write ONLY the narration, no explanations or commentary
+- Write in third person past or present tense, matching the story`;
+/**
+ * System prompt builder for each blendable action type.
+ * @type {Record<string, function(string): string>}
+ */
+const SYSTEM_PROMPT_BUILDERS = {
+  do: buildSystemPrompt,
+  say: buildSaySystemPrompt,
+  story: buildStorySystemPrompt
+};
+/**
+ * What the combined result is called in the user prompt, per action type.
+ * @type {Record<string, string>}
+ */
+const RESULT_NOUNS = {
+  do: 'action',
+  say: 'line of dialogue',
+  story: 'passage of narration'
+};
 /**
  * Calls OpenRouter API to generate a completion.
  * @param {Config} config - Must have openRouterApiKey set
@@ -91,10 +143,16 @@ const extractStoryContext = (context) => {
  * @param {string|null} lastAIOutput - The most recent AI output (Previous)
  * @param {Submission[]} submissions - Submissions to combine
  * @param {string} partyMemberName - Character name for the party member
+ * @param {ActionType} [type] - Action type shared by all submissions
  * @returns {string} The formatted user prompt
  */
-export const buildCombinePrompt = (storyContext, lastAIOutput, submissions, partyMemberName) => {
-  const submissionList = submissions.map((s, i) => `${i + 1}. "${s.text}" (by ${s.user})`).join('\n');
+export const buildCombinePrompt = (storyContext, lastAIOutput, submissions, partyMemberName, type = 'do') => {
+  const noun = RESULT_NOUNS[type] || RESULT_NOUNS.do;
+  const submissionList = submissions.map((s, i) => {
+    // Grouped near-duplicates tell the model how many people wanted this
+    const similar = s.memberIndices ? `, +${s.memberIndices.length - 1} similar` : '';
+    return `${i + 1}. "${s.text}" (by ${s.user}${similar})`;
+  }).join('\n');
   let prompt = `# Character: ${partyMemberName}\n\n`;
   // Build the full context with Most Recent at the end
   let fullContext = storyContext || '';
@@ -107,8 +165,8 @@ export const buildCombinePrompt = (storyContext, lastAIOutput, submissions, part
   }
   prompt += `## Player Submissions\n\n${submissionList}\n\n`;
   prompt += `## Task\n\n`;
-  prompt += `Combine these ${submissions.length} suggestions into a single action for **${partyMemberName}**.`;
-  prompt += ` Output ONLY the action text, do not prefix with the character name.`;
+  prompt += `Combine these ${submissions.length} suggestions into a single ${noun} for **${partyMemberName}**.`;
+  prompt += ` Output ONLY the ${noun} text, do not prefix with the character name.`;
   return prompt;
 };
 /**
@@ -122,9 +180,10 @@ export const buildCombinePrompt = (storyContext, lastAIOutput, submissions, part
  */
 /**
  * Recursively merges submissions using LLM, batching as needed.
+ * All submissions must share one action type, which picks the prompt.
  * @param {Config} config - User configuration with API key and partyMemberName
  * @param {AIDContext|null} context - Current AID context for story
- * @param {Submission[]} submissions - Submissions to merge
+ * @param {Submission[]} submissions - Submissions to merge (same action type)
  * @param {string|null} lastAIOutput - Most recent AI output from AID
  * @returns {Promise<{result: string, debugInfo: AICallDebugInfo|null}>} The final merged action and debug info
  */
@@ -135,7 +194,8 @@ export const recursiveMerge = async (config, context, submissions, lastAIOutput
   }
   const storyContext = extractStoryContext(context);
   const partyMemberName = config.partyMemberName || 'the party member';
-  const systemPrompt = buildSystemPrompt(partyMemberName);
+  const type = submissions[0].type || 'do';
+  const systemPrompt = (SYSTEM_PROMPT_BUILDERS[type] || buildSystemPrompt)(partyMemberName);
   // Calculate dynamic batch size based on context budget
   // Estimate ~50 tokens per submission, aim for ~16000 tokens per batch
   const tokensPerSubmission = 50;
@@ -143,7 +203,7 @@ export const recursiveMerge = async (config, context, submissions, lastAIOutput
   const batchSize = Math.max(3, Math.floor(targetBatchTokens / tokensPerSubmission));
   // If we can fit all in one batch, do it directly
   if (submissions.length <= batchSize) {
-    const userPrompt = buildCombinePrompt(storyContext, lastAIOutput, submissions, partyMemberName);
+    const userPrompt = buildCombinePrompt(storyContext, lastAIOutput, submissions, partyMemberName, type);
     const result = await callOpenRouter(config, systemPrompt, userPrompt);
     return {
       result,
@@ -165,12 +225,93 @@ export const recursiveMerge = async (config, context, submissions, lastAIOutput
   // Merge each batch in parallel
   const intermediateResults = await Promise.all(
     batches.map(async (batch, idx) => {
-      const userPrompt = buildCombinePrompt(storyContext, lastAIOutput, batch, partyMemberName);
+      const userPrompt = buildCombinePrompt(storyContext, lastAIOutput, batch, partyMemberName, type);
       const result = await callOpenRouter(config, systemPrompt, userPrompt);
       console.log('[Merge] Batch', idx + 1, 'result:', result.substring(0, 50));
-      return { user: `Batch${idx + 1}`, text: result, timestamp: Date.now(), votes: new Set() };
+      return { user: `Batch${idx + 1}`, text: result, type, timestamp: Date.now(), votes: new Set() };
     })
   );
   // Recursively merge intermediate results (no lastAIOutput for recursive calls)
   return await recursiveMerge(config, context, intermediateResults, null);
 };
+/**
+ * Builds the system prompt for generating multiple-choice options.
+ * @param {string} partyMemberName - Character name for the party member
+ * @param {number} count - Number of options to write
+ * @returns {string} The system prompt
+ */
+const buildChoicesSystemPrompt = (partyMemberName, count) => `You are writing options for a livestream audience to vote on in a collaborative interactive fiction story. The audience decides what **${partyMemberName}** does next.
+
+Your task is to write ${count} distinct next actions for ${partyMemberName} that:
+- Each take the story in a clearly different direction (e.g. cautious, bold, social, unexpected)
+- Fit naturally with the story context and tone
+- Are concise (one short sentence each)
+
+## Formatting Rules
+
+- Write exactly ${count} lines, one action per line, with no numbering, letters, or commentary
+- Do NOT begin with "${partyMemberName}" or any character name - the game engine adds that automatically
+- Write in third person (e.g. "leaps forward and grabs the rope" not "${partyMemberName} leaps forward")`;
+/**
+ * Builds the user prompt for generating multiple-choice options.
+ * @param {string} storyContext - The current story context from AID
+ * @param {string|null} lastAIOutput - The most recent AI output
+ * @param {string} partyMemberName - Character name for the party member
+ * @param {number} count - Number of options to write
+ * @returns {string} The formatted user prompt
+ */
+export const buildChoicesPrompt = (storyContext, lastAIOutput, partyMemberName, count) => {
+  let prompt = `# Character: ${partyMemberName}\n\n`;
+  let fullContext = storyContext || '';
+  if (lastAIOutput) {
+    fullContext += `\n\nMost Recent:\n${lastAIOutput}`;
+  }
+  fullContext = fullContext.trim();
+  if (fullContext) {
+    prompt += `## Story Context\n\n\`\`\`\n${fullContext}\n\`\`\`\n\n`;
+  }
+  prompt += `## Task\n\n`;
+  prompt += `Write ${count} distinct next actions for **${partyMemberName}**, one per line.`;
+  return prompt;
+};
+/**
+ * Splits an LLM response into option lines, stripping list markers like "A)", "2." or "-".
+ * @param {string} response - Raw LLM response
+ * @returns {string[]} Cleaned, de-duplicated options
+ */
+const parseChoices = (response) => {
+  const lines = response
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:[A-Za-z][).:]|\d+[).:]|[-*•])\s*/, '').replace(/^"(.*)"$/, '$1').trim())
+    .filter(Boolean);
+  return [...new Set(lines)];
+};
+/**
+ * Generates distinct candidate actions for a multiple-choice round.
+ * @param {Config} config - User configuration with API key and partyMemberName
+ * @param {AIDContext|null} context - Current AID context for story
+ * @param {string|null} lastAIOutput - Most recent AI output from AID
+ * @returns {Promise<{choices: string[], debugInfo: AICallDebugInfo}>} The options and debug info
+ * @throws {Error} If the request fails or fewer than two options come back
+ */
+export const generateChoices = async (config, context, lastAIOutput = null) => {
+  const storyContext = extractStoryContext(context);
+  const partyMemberName = config.partyMemberName || 'the party member';
+  const systemPrompt = buildChoicesSystemPrompt(partyMemberName, AI_CHOICE_COUNT);
+  const userPrompt = buildChoicesPrompt(storyContext, lastAIOutput, partyMemberName, AI_CHOICE_COUNT);
+  const response = await callOpenRouter(config, systemPrompt, userPrompt);
+  const choices = parseChoices(response).slice(0, AI_CHOICE_COUNT);
+  if (choices.length < 2) {
+    throw new Error('AI returned too few options');
+  }
+  return {
+    choices,
+    debugInfo: {
+      systemPrompt,
+      userPrompt,
+      response,
+      model: config.model,
+      timestamp: Date.now()
+    }
+  };
+};
@@ -0,0 +1,65 @@
+// Audience Multiplayer - Paid Messages Module
+// Holds Super Chat actions sent while submissions are closed until the next free-text round
+/** @typedef {import('./types.js').State} State */
+/** @typedef {import('./types.js').ChatMessage} ChatMessage */
+import { PAID_QUEUE_MAX } from './constants.js';
+import { getPaidTier } from './weights.js';
+import { getViewer } from './chat.js';
+/**
+ * Checks whether chat can submit actions right now: a free-text vote that isn't a
+ * runoff or a test round, so Super Chat actions wait for a real round.
+ * @param {State} state - Application state
+ * @returns {boolean}
+ */
+export const areSubmissionsOpen = (state) => {
+  return state.phase === 'vote' && state.roundType === 'open' && !state.isRunoff && !state.rehearsal;
+};
+/**
+ * Checks whether a message is a Super Chat action (starting with >) sent while
+ * submissions are closed, which is held for the next round instead of dropped.
+ * @param {State} state - Application state
+ * @param {ChatMessage} message - Normalized chat message
+ * @returns {boolean}
+ */
+export const shouldQueuePaidSubmission = (state, message) => {
+  return message.paid?.kind === 'superchat' && message.text.startsWith('>') && !areSubmissionsOpen(state);
+};
+/**
+ * Queues a Super Chat action for the next round. A viewer's newer Super Chat
+ * replaces their queued action, since it would only edit it, but both still count:
+ * the tiers are added up and weighted when the action is replayed. When the queue is full the oldest entry is dropped.
+ * @param {State} state - Application state (mutated: paidQueue)
+ * @param {ChatMessage} message - Super Chat message
+ * @returns {number} Position in the queue, from 1
+ */
+export const queuePaidSubmission = (state, message) => {
+  const key = getViewer(message).key;
+  const previous = state.paidQueue.find(m => getViewer(m).key === key);
+  const paid = previous
+    ? {
+      ...message.paid,
+      amount: previous.paid.amount + message.paid.amount,
+      amountText: `${previous.paid.amountText} + ${message.paid.amountText}`,
+      tier: String(getPaidTier(previous.paid) + getPaidTier(message.paid))
+    }
+    : message.paid;
+  state.paidQueue = state.paidQueue.filter(m => m !== previous);
+  // The platform payload isn't needed to replay the message, and the queue is checkpointed
+  state.paidQueue.push({ ...message, paid, raw: null });
+  if (state.paidQueue.length > PAID_QUEUE_MAX) {
+    const dropped = state.paidQueue.shift();
+    console.warn('[Paid] Queue full, dropping Super Chat action from', dropped.user);
+  }
+  console.log('[Paid] Queued Super Chat action from', message.user, '(' + message.paid.amountText + ')');
+  return state.paidQueue.length;
+};
+/**
+ * Takes every queued Super Chat action, oldest first, and empties the queue.
+ * @param {State} state - Application state (mutated: paidQueue)
+ * @returns {ChatMessage[]}
+ */
+export const takePaidQueue = (state) => {
+  const queued = state.paidQueue;
+  state.paidQueue = [];
+  return queued;
+};
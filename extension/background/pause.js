@@ -1,7 +1,8 @@
 // Audience Multiplayer - Pause Module
 // Handles pause/resume logic for vote and auto-repeat timers
 /** @typedef {import('./types.js').State} State */
-import { setAutoRepeatTimer, clearAutoRepeatTimer } from './state.js';
+import { clearAutoRepeatTimer } from './state.js';
+import { startTimer, clearTimer } from './timers.js';
 /**
  * Pauses the current timer (vote or auto-repeat).
  * Saves remaining time and clears the active timer.
@@ -12,10 +13,7 @@ const pauseTimers = (state) => {
   if (state.phase === 'vote' && state.voteEndTime) {
     // Pause during vote phase
     state.pausedVoteRemaining = Math.max(0, state.voteEndTime - Date.now());
-    if (state.voteTimer) {
-      clearTimeout(state.voteTimer);
-      state.voteTimer = null;
-    }
+    clearTimer(state, 'voteTimer');
     console.log('[Pause] Vote paused with', Math.round(state.pausedVoteRemaining / 1000), 's remaining');
   } else if (state.phase === 'idle' && state.nextVoteStartTime) {
     // Pause during auto-repeat countdown
@@ -36,18 +34,16 @@ const resumeTimers = (state, onVoteEnd, onAutoRepeatStart, scheduleAutoRepeat) =
   if (state.phase === 'vote' && state.pausedVoteRemaining) {
     // Resume vote phase
     state.voteEndTime = Date.now() + state.pausedVoteRemaining;
-    state.voteTimer = setTimeout(onVoteEnd, state.pausedVoteRemaining);
+    startTimer(state, 'voteTimer', state.voteEndTime, onVoteEnd);
     console.log('[Pause] Vote resumed with', Math.round(state.pausedVoteRemaining / 1000), 's remaining');
     state.pausedVoteRemaining = null;
   } else if (state.phase === 'idle' && state.pausedAutoRepeatRemaining) {
     // Resume auto-repeat countdown
     state.nextVoteStartTime = Date.now() + state.pausedAutoRepeatRemaining;
-    const timer = setTimeout(() => {
+    startTimer(state, 'autoRepeatTimer', state.nextVoteStartTime, () => {
       state.nextVoteStartTime = null;
-      state.autoRepeatTimer = null;
       onAutoRepeatStart();
-    }, state.pausedAutoRepeatRemaining);
-    setAutoRepeatTimer(state, timer);
+    });
     console.log('[Pause] Auto-repeat resumed with', Math.round(state.pausedAutoRepeatRemaining / 1000), 's remaining');
     state.pausedAutoRepeatRemaining = null;
   } else if (state.phase === 'idle' && state.config.autoRepeatCooldownSeconds) {
@@ -0,0 +1,138 @@
+// Audience Multiplayer - Points Module
+// Viewer points for winning ideas, blend contributions and votes for the winner
+/** @typedef {import('./types.js').State} State */
+/** @typedef {import('./types.js').Submission} Submission */
+/** @typedef {import('./types.js').RoundCredits} RoundCredits */
+/** @typedef {import('./types.js').ViewerPoints} ViewerPoints */
+/** @typedef {import('./types.js').Viewer} Viewer */
+/**
+ * Finds a viewer's points, moving an entry saved under their old
+ * 'platform:name' key over to their viewer key.
+ * @param {State} state - Application state (mutated: viewerPoints)
+ * @param {Viewer} viewer - Viewer to look up
+ * @returns {ViewerPoints|undefined}
+ */
+const findEntry = (state, viewer) => {
+  const entry = state.viewerPoints.get(viewer.key);
+  if (entry) {
+    return entry;
+  }
+  const legacyKey = `${viewer.platform}:${viewer.name.toLowerCase()}`;
+  const legacy = state.viewerPoints.get(legacyKey);
+  if (!legacy) {
+    return undefined;
+  }
+  state.viewerPoints.delete(legacyKey);
+  state.viewerPoints.set(viewer.key, legacy);
+  return legacy;
+};
+/**
+ * Lists the viewers behind a submission, expanding grouped near-duplicates.
+ * AI-written options have no viewer behind them.
+ * @param {State} state - Application state
+ * @param {Submission} submission - Submission or group
+ * @returns {string[]} Viewer keys
+ */
+const getAuthors = (state, submission) => {
+  const indices = submission.memberIndices || [submission.index];
+  return state.submissions
+    .filter(s => indices.includes(s.index) && !s.label)
+    .map(s => s.viewer);
+};
+/**
+ * Works out who earns points for a round. The winning submitter (or every
+ * submitter in a blend) is credited first, then anyone who voted for them.
+ * Each viewer is only credited once, in their best category.
+ * @param {State} state - Application state
+ * @param {Submission[]} chosen - The winning option, or every option in the blend
+ * @param {boolean} isBlend - Whether the chosen options were blended together
+ * @returns {RoundCredits}
+ */
+export const getRoundCredits = (state, chosen, isBlend) => {
+  const authors = chosen.flatMap(s => getAuthors(state, s));
+  // The representative of a winning group wins; the rest of the group contributed
+  const winners = isBlend || chosen[0].label ? [] : [chosen[0].viewer];
+  const contributors = [...new Set(authors.filter(u => !winners.includes(u)))];
+  const credited = new Set([...winners, ...contributors]);
+  const voters = [...new Set(chosen.flatMap(s => [...s.votes]))].filter(u => !credited.has(u));
+  return { winners, contributors, voters };
+};
+/**
+ * Adds points to every credited viewer and records their platform and display name.
+ * Viewers the round never saw in chat (e.g. restored from an old checkpoint) are skipped,
+ * and so are test chat viewers and every viewer in a test round, so rehearsals don't
+ * touch the real leaderboard.
+ * @param {State} state - Application state (mutated: viewerPoints)
+ * @param {RoundCredits} credits - Who earned what
+ * @returns {number} Number of viewers who earned points
+ */
+export const awardPoints = (state, credits) => {
+  if (state.rehearsal) {
+    return 0;
+  }
+  const { pointsPerWin, pointsPerContribution, pointsPerVote } = state.config;
+  const categories = [
+    [credits.winners, pointsPerWin, 'wins'],
+    [credits.contributors, pointsPerContribution, 'contributions'],
+    [credits.voters, pointsPerVote, 'votes']
+  ];
+  let awarded = 0;
+  for (const [keys, points, counter] of categories) {
+    for (const key of keys) {
+      const seen = state.roundViewers.get(key);
+      if (!seen || seen.platform === 'test' || !(points > 0)) {
+        continue;
+      }
+      const viewer = { key, name: seen.name, platform: seen.platform };
+      const entry = findEntry(state, viewer) || { platform: viewer.platform, name: viewer.name, points: 0, wins: 0, contributions: 0, votes: 0 };
+      entry.name = viewer.name;
+      entry.points += points;
+      entry[counter]++;
+      entry.updatedAt = Date.now();
+      state.viewerPoints.set(key, entry);
+      awarded++;
+    }
+  }
+  console.log('[Points] Awarded points to', awarded, 'viewers');
+  return awarded;
+};
+/**
+ * Lists viewers by points, highest first.
+ * @param {State} state - Application state
+ * @param {number} [limit] - How many to return (all by default)
+ * @returns {ViewerPoints[]}
+ */
+export const getLeaderboard = (state, limit = Infinity) => {
+  return [...state.viewerPoints.values()]
+    .sort((a, b) => (b.points - a.points) || a.name.localeCompare(b.name))
+    .slice(0, limit);
+};
+/**
+ * Finds a viewer's points and leaderboard position.
+ * @param {State} state - Application state
+ * @param {Viewer} viewer - Viewer asking
+ * @returns {{entry: ViewerPoints, rank: number, total: number}|null} Null if the viewer has no points
+ */
+export const getViewerStanding = (state, viewer) => {
+  const entry = findEntry(state, viewer);
+  if (!entry) {
+    return null;
+  }
+  const board = getLeaderboard(state);
+  return { entry, rank: board.indexOf(entry) + 1, total: board.length };
+};
+/**
+ * Gets the vote weight a viewer's points earn them: the perk weight once they
+ * are past the perk threshold, otherwise 1.
+ * @param {State} state - Application state
+ * @param {Viewer} viewer - Viewer voting
+ * @returns {number}
+ */
+export const getPerkWeight = (state, viewer) => {
+  const { pointsPerkThreshold, pointsPerkWeight } = state.config;
+  if (!(pointsPerkThreshold > 0) || !(pointsPerkWeight > 1)) {
+    return 1;
+  }
+  const entry = findEntry(state, viewer);
+  return entry && entry.points >= pointsPerkThreshold ? pointsPerkWeight : 1;
+};
@@ -0,0 +1,80 @@
+// Audience Multiplayer - Quorum Module
+// Minimum participation before a vote closes, and overtime for late submissions
+/** @typedef {import('./types.js').State} State */
+/**
+ * Counts distinct viewers who voted or ranked this round.
+ * Submitters count too, since a submission is also a vote for itself.
+ * @param {State} state - Application state
+ * @returns {number}
+ */
+export const countUniqueVoters = (state) => {
+  const voters = new Set(state.rankings.keys());
+  for (const submission of state.submissions) {
+    for (const voter of submission.votes) {
+      voters.add(voter);
+    }
+  }
+  return voters.size;
+};
+/**
+ * Lists what the round is short of before quorum is met.
+ * The submission minimum only applies to open rounds; runoffs are never held up.
+ * @param {State} state - Application state
+ * @returns {string[]} Shortfalls for chat (e.g. '1/3 submissions'), empty when quorum is met
+ */
+export const checkQuorum = (state) => {
+  const { quorumMinSubmissions, quorumMinVoters } = state.config;
+  const shortfalls = [];
+  if (state.isRunoff) {
+    return shortfalls;
+  }
+  if (state.roundType === 'open' && quorumMinSubmissions > 0 && state.submissions.length < quorumMinSubmissions) {
+    shortfalls.push(`${state.submissions.length}/${quorumMinSubmissions} submissions`);
+  }
+  const voters = countUniqueVoters(state);
+  if (quorumMinVoters > 0 && voters < quorumMinVoters) {
+    shortfalls.push(`${voters}/${quorumMinVoters} voters`);
+  }
+  return shortfalls;
+};
+/**
+ * Checks whether the vote can still be extended this round.
+ * @param {State} state - Application state
+ * @returns {boolean}
+ */
+export const canExtendVote = (state) => {
+  return state.phase === 'vote' && state.voteExtensions < state.config.maxVoteExtensions;
+};
+/**
+ * Pushes the vote end out so at least the given time remains, counting it as one extension.
+ * While paused only the frozen remaining time changes; otherwise the caller restarts the vote timer.
+ * @param {State} state - Application state (mutated: voteEndTime or pausedVoteRemaining, voteExtensions)
+ * @param {number} seconds - Minimum time left after extending
+ * @returns {boolean} True if extended (false when out of extensions)
+ */
+export const extendVote = (state, seconds) => {
+  if (!canExtendVote(state) || seconds <= 0) {
+    return false;
+  }
+  state.voteExtensions++;
+  if (state.isPaused) {
+    state.pausedVoteRemaining = Math.max(state.pausedVoteRemaining || 0, seconds * 1000);
+  } else {
+    state.voteEndTime = Math.max(state.voteEndTime || 0, Date.now() + (seconds * 1000));
+  }
+  console.log('[Quorum] Vote extended,', seconds, 's remaining (' + state.voteExtensions + '/' + state.config.maxVoteExtensions + ')');
+  return true;
+};
+/**
+ * Checks whether a new submission arrived late enough to earn overtime.
+ * @param {State} state - Application state
+ * @returns {boolean} True if the remaining time is under the overtime window
+ */
+export const needsOvertime = (state) => {
+  const windowMs = state.config.overtimeSeconds * 1000;
+  if (!windowMs || !canExtendVote(state)) {
+    return false;
+  }
+  const remaining = state.isPaused ? state.pausedVoteRemaining : (state.voteEndTime || 0) - Date.now();
+  return remaining !== null && remaining < windowMs;
+};
@@ -0,0 +1,109 @@
+// Audience Multiplayer - Rate Limit Module
+// Per-user cooldowns, edit caps and copy-paste spam detection for chat input
+/** @typedef {import('./types.js').State} State */
+/** @typedef {import('./types.js').RateLimits} RateLimits */
+/** @typedef {import('./types.js').Viewer} Viewer */
+/**
+ * Creates empty rate-limit tracking for a new round.
+ * @returns {RateLimits}
+ */
+export const createRateLimits = () => ({
+  lastSubmission: new Map(),
+  lastVote: new Map(),
+  edits: new Map(),
+  textUsers: new Map(),
+  stats: { submissionCooldown: 0, voteCooldown: 0, editCap: 0, spam: 0 }
+});
+/**
+ * Normalizes submission text so trivially altered copies still match.
+ * @param {string} text - Submission text
+ * @returns {string} Lowercased text with punctuation and extra spaces removed
+ */
+const normalizeText = (text) => {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+};
+/**
+ * Checks whether a viewer's last action was within the cooldown, recording the attempt if not.
+ * @param {Map<string, number>} lastSeen - Viewer key -> last accepted timestamp
+ * @param {string} key - Viewer key
+ * @param {number} seconds - Cooldown length (0 = no cooldown)
+ * @returns {boolean} True if the user is still cooling down
+ */
+const isCoolingDown = (lastSeen, key, seconds) => {
+  const now = Date.now();
+  if (seconds > 0 && now - (lastSeen.get(key) || 0) < seconds * 1000) {
+    return true;
+  }
+  lastSeen.set(key, now);
+  return false;
+};
+/**
+ * Decides whether a submission from chat may be processed, without recording it.
+ * Rejects users on cooldown, edits past the per-round cap, and text already
+ * sent by too many other users. Call chargeSubmission once the submission is accepted.
+ * @param {State} state - Application state (mutated: rateLimits.stats)
+ * @param {Viewer} viewer - Viewer submitting
+ * @param {string} text - Action text
+ * @returns {'cooldown'|'edit-cap'|'spam'|null} Why it was rejected, or null if allowed
+ */
+export const limitSubmission = (state, viewer, text) => {
+  const { rateLimits, config } = state;
+  const key = viewer.key;
+  const seconds = config.submissionCooldownSeconds;
+  if (seconds > 0 && Date.now() - (rateLimits.lastSubmission.get(key) || 0) < seconds * 1000) {
+    rateLimits.stats.submissionCooldown++;
+    return 'cooldown';
+  }
+  const isEdit = state.submissions.some(s => s.viewer === key);
+  if (isEdit && config.maxEditsPerRound > 0 && (rateLimits.edits.get(key) || 0) >= config.maxEditsPerRound) {
+    rateLimits.stats.editCap++;
+    return 'edit-cap';
+  }
+  const normalized = normalizeText(text);
+  if (normalized && config.spamUserThreshold > 0) {
+    const senders = rateLimits.textUsers.get(normalized) || new Set();
+    if (!senders.has(key) && senders.size >= config.spamUserThreshold - 1) {
+      rateLimits.stats.spam++;
+      console.log('[RateLimit] Copy-paste spam from', viewer.name, '- text already sent by', senders.size, 'users');
+      return 'spam';
+    }
+  }
+  return null;
+};
+/**
+ * Records an accepted submission against the viewer's cooldown, edit budget and
+ * the spam count for its text.
+ * @param {State} state - Application state (mutated: rateLimits)
+ * @param {Viewer} viewer - Viewer who submitted
+ * @param {string} text - Action text
+ * @param {boolean} isEdit - Whether it replaced the viewer's earlier submission
+ * @returns {void}
+ */
+export const chargeSubmission = (state, viewer, text, isEdit) => {
+  const { rateLimits } = state;
+  const key = viewer.key;
+  rateLimits.lastSubmission.set(key, Date.now());
+  if (isEdit) {
+    rateLimits.edits.set(key, (rateLimits.edits.get(key) || 0) + 1);
+  }
+  const normalized = normalizeText(text);
+  if (normalized) {
+    const senders = rateLimits.textUsers.get(normalized) || new Set();
+    senders.add(key);
+    rateLimits.textUsers.set(normalized, senders);
+  }
+  return;
+};
+/**
+ * Decides whether a vote or ranking from chat may be processed.
+ * @param {State} state - Application state (mutated: rateLimits)
+ * @param {Viewer} viewer - Viewer voting
+ * @returns {boolean} True if allowed
+ */
+export const limitVote = (state, viewer) => {
+  if (isCoolingDown(state.rateLimits.lastVote, viewer.key, state.config.voteCooldownSeconds)) {
+    state.rateLimits.stats.voteCooldown++;
+    return false;
+  }
+  return true;
+};
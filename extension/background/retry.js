@@ -0,0 +1,66 @@
+// Audience Multiplayer - Retry Module
+// Chat yes/no votes to retry or undo the last AI output
+/** @typedef {import('./types.js').State} State */
+/** @typedef {import('./types.js').StoryVote} StoryVote */
+/** @typedef {import('./types.js').Viewer} Viewer */
+import { STORY_VOTE_DURATION_SECONDS, STORY_VOTE_MIN_VOTERS } from './constants.js';
+import { clearTimer } from './timers.js';
+/**
+ * Opens a yes/no vote on a story command. The requester counts as a yes.
+ * @param {State} state - Application state (mutated: storyVote)
+ * @param {'retry'|'undo'} command - Command being voted on
+ * @param {Viewer} viewer - Viewer who asked for it
+ * @returns {boolean} True if a vote was opened, false if one is already running
+ */
+export const openStoryVote = (state, command, viewer) => {
+  if (state.storyVote) {
+    return false;
+  }
+  state.storyVote = {
+    command,
+    requestedBy: viewer.name,
+    requesterKey: viewer.key,
+    yes: new Set([viewer.key]),
+    no: new Set(),
+    endTime: Date.now() + (STORY_VOTE_DURATION_SECONDS * 1000)
+  };
+  console.log('[Retry]', viewer.name, 'opened a vote to', command);
+  return true;
+};
+/**
+ * Records a yes/no vote. Voting again switches sides.
+ * @param {State} state - Application state (mutated: storyVote)
+ * @param {Viewer} voter - Viewer voting
+ * @param {boolean} inFavor - True for yes, false for no
+ * @returns {boolean} True if a vote is open and the ballot was counted
+ */
+export const castStoryVote = (state, voter, inFavor) => {
+  if (!state.storyVote) {
+    return false;
+  }
+  const key = voter.key;
+  state.storyVote.yes.delete(key);
+  state.storyVote.no.delete(key);
+  (inFavor ? state.storyVote.yes : state.storyVote.no).add(key);
+  return true;
+};
+/**
+ * Closes the open story vote and reports whether it passed: at least
+ * STORY_VOTE_MIN_VOTERS voters, more yes than no, and a yes from someone other
+ * than the requester, so nobody can pass a vote alone.
+ * @param {State} state - Application state (mutated: storyVote, storyVoteTimer)
+ * @returns {{vote: StoryVote, passed: boolean, enoughVoters: boolean}|null} The closed vote, or null if none was open
+ */
+export const closeStoryVote = (state) => {
+  const vote = state.storyVote;
+  clearTimer(state, 'storyVoteTimer');
+  state.storyVote = null;
+  if (!vote) {
+    return null;
+  }
+  const enoughVoters = vote.yes.size + vote.no.size >= STORY_VOTE_MIN_VOTERS;
+  const seconded = [...vote.yes].some(key => key !== vote.requesterKey);
+  const passed = enoughVoters && seconded && vote.yes.size > vote.no.size;
+  console.log('[Retry] Vote to', vote.command, passed ? 'passed' : 'failed', `(${vote.yes.size}-${vote.no.size})`);
+  return { vote, passed, enoughVoters };
+};
@@ -6,25 +6,75 @@
 import {
   DEFAULT_MODEL,
   DEFAULT_VOTE_DURATION_SECONDS,
-  DEFAULT_MAX_TOKENS
+  DEFAULT_MAX_TOKENS,
+  DEFAULT_TALLY_MODE,
+  DEFAULT_ROUND_TYPE,
+  DEFAULT_REVIEW_AUTO_APPROVE_SECONDS,
+  DEFAULT_BANNED_TERM_ACTION,
+  DEFAULT_SUBMISSION_COOLDOWN_SECONDS,
+  DEFAULT_VOTE_COOLDOWN_SECONDS,
+  DEFAULT_MAX_EDITS_PER_ROUND,
+  DEFAULT_SPAM_USER_THRESHOLD,
+  DEFAULT_TIE_BREAK,
+  DEFAULT_VOTE_EXTENSION_SECONDS,
+  DEFAULT_MAX_VOTE_EXTENSIONS,
+  DEFAULT_BITS_PER_VOTE,
+  DEFAULT_SUPER_CHAT_VOTES_PER_TIER,
+  DEFAULT_POINTS_PER_WIN,
+  DEFAULT_POINTS_PER_CONTRIBUTION,
+  DEFAULT_POINTS_PER_VOTE,
+  DEFAULT_POINTS_PERK_WEIGHT,
+  LEADERBOARD_SIZE
 } from './constants.js';
+import { clearTimer } from './timers.js';
+import { createRateLimits } from './ratelimit.js';
+import { getRoundCandidates } from './cluster.js';
+import { getVoteCount } from './tally.js';
+import { getLeaderboard } from './points.js';
+import { getChatSourceStatuses } from './chat.js';
 /**
  * Creates the initial application state.
  * @returns {State}
  */
 export const createInitialState = () => ({
   phase: 'idle',
+  roundType: 'open',
+  isRunoff: false,
+  rehearsal: false,
   submissions: [],
+  nextSubmissionIndex: 1,
+  rankings: new Map(),
+  voterChoices: new Map(),
+  voterWeights: new Map(),
+  roundBits: new Map(),
+  roundPaid: new Map(),
+  paidQueue: [],
+  roundViewers: new Map(),
+  viewerPoints: new Map(),
+  blockedUsers: new Map(),
+  rateLimits: createRateLimits(),
+  infoCooldowns: new Map(),
   context: null,
   shortId: null,
   aidOrigin: null,
   firebaseToken: null,
   tokenExpiry: null,
   twitchSocket: null,
+  kickSocket: null,
+  kickConnected: false,
+  kickError: null,
   aidSocket: null,
   voteTimer: null,
   autoRepeatTimer: null,
+  storyVoteTimer: null,
+  reviewTimer: null,
+  review: null,
+  tieTimer: null,
+  pendingTie: null,
+  storyVote: null,
+  lastStoryCommand: null,
   voteEndTime: null,
+  voteExtensions: 0,
   nextVoteStartTime: null,
   isPaused: false,
   pausedVoteRemaining: null,
@@ -34,6 +84,12 @@ export const createInitialState = () => ({
   youtubeConnected: false,
   youtubeVideoId: null,
   youtubeError: null,
+  youtubeApi: null,
+  youtubeApiError: null,
+  youtubeTab: null,
+  youtubeSendError: null,
+  roundRecord: null,
+  testChatLog: [],
   config: {
     openRouterApiKey: '',
     model: DEFAULT_MODEL,
@@ -45,7 +101,38 @@ export const createInitialState = () => ({
     playerCharacterName: '',
     partyMemberName: '',
     youtubeUrl: '',
-    autoRepeatCooldownSeconds: null
+    kickChannel: '',
+    youtubeApiKey: '',
+    youtubePostMessages: false,
+    autoRepeatCooldownSeconds: null,
+    tallyMode: DEFAULT_TALLY_MODE,
+    roundType: DEFAULT_ROUND_TYPE,
+    reviewEnabled: false,
+    reviewAutoApproveSeconds: DEFAULT_REVIEW_AUTO_APPROVE_SECONDS,
+    bannedTerms: '',
+    bannedTermAction: DEFAULT_BANNED_TERM_ACTION,
+    submissionCooldownSeconds: DEFAULT_SUBMISSION_COOLDOWN_SECONDS,
+    voteCooldownSeconds: DEFAULT_VOTE_COOLDOWN_SECONDS,
+    maxEditsPerRound: DEFAULT_MAX_EDITS_PER_ROUND,
+    spamUserThreshold: DEFAULT_SPAM_USER_THRESHOLD,
+    clusterSubmissions: true,
+    selfVote: true,
+    subscriberVoteWeight: 1,
+    vipVoteWeight: 1,
+    founderVoteWeight: 1,
+    bitsPerVote: DEFAULT_BITS_PER_VOTE,
+    superChatVotesPerTier: DEFAULT_SUPER_CHAT_VOTES_PER_TIER,
+    pointsPerWin: DEFAULT_POINTS_PER_WIN,
+    pointsPerContribution: DEFAULT_POINTS_PER_CONTRIBUTION,
+    pointsPerVote: DEFAULT_POINTS_PER_VOTE,
+    pointsPerkThreshold: 0,
+    pointsPerkWeight: DEFAULT_POINTS_PERK_WEIGHT,
+    tieBreak: DEFAULT_TIE_BREAK,
+    quorumMinSubmissions: 0,
+    quorumMinVoters: 0,
+    voteExtensionSeconds: DEFAULT_VOTE_EXTENSION_SECONDS,
+    maxVoteExtensions: DEFAULT_MAX_VOTE_EXTENSIONS,
+    overtimeSeconds: 0
   }
 });
 /**
@@ -59,26 +146,92 @@ export const transitionToVote = (state) => {
     return false;
   }
   state.phase = 'vote';
+  state.roundType = 'open';
+  state.isRunoff = false;
+  state.voteExtensions = 0;
   state.submissions = [];
+  state.nextSubmissionIndex = 1;
+  state.rankings = new Map();
+  state.voterChoices = new Map();
+  state.voterWeights = new Map();
+  state.roundBits = new Map();
+  state.roundPaid = new Map();
+  state.roundViewers = new Map();
+  state.rateLimits = createRateLimits();
   console.log('[State] Transitioned: idle -> vote');
   return true;
 };
 /**
- * Transitions to combine phase. Only valid from vote.
+ * Transitions to combine phase. Valid from vote, or from review to reblend or submit.
  * @param {State} state
  * @returns {boolean} True if transition succeeded
  */
 export const transitionToCombine = (state) => {
-  if (state.phase !== 'vote') {
+  if (state.phase !== 'vote' && state.phase !== 'review') {
     console.log('[State] Cannot transition to combine - current phase:', state.phase);
     return false;
   }
-  if (state.voteTimer) {
-    clearTimeout(state.voteTimer);
-    state.voteTimer = null;
-  }
+  const oldPhase = state.phase;
+  clearTimer(state, 'voteTimer');
+  clearTimer(state, 'reviewTimer');
+  state.review = null;
   state.phase = 'combine';
-  console.log('[State] Transitioned: vote -> combine');
+  console.log('[State] Transitioned:', oldPhase, '-> combine');
+  return true;
+};
+/**
+ * Reopens voting as a runoff between tied options. Only valid from combine.
+ * Votes and rankings start over and new submissions are closed.
+ * @param {State} state
+ * @param {number[]} indices - Option numbers of the tied submissions
+ * @returns {boolean} True if transition succeeded
+ */
+export const transitionToRunoff = (state, indices) => {
+  if (state.phase !== 'combine') {
+    console.log('[State] Cannot transition to runoff - current phase:', state.phase);
+    return false;
+  }
+  state.submissions = state.submissions
+    .filter(s => indices.includes(s.index))
+    .map(({ debugVoteCount, ...s }) => ({ ...s, votes: new Set() }));
+  state.rankings = new Map();
+  state.voterChoices = new Map();
+  state.isRunoff = true;
+  state.voteExtensions = 0;
+  state.phase = 'vote';
+  console.log('[State] Transitioned: combine -> vote (runoff between', indices.join(', ') + ')');
+  return true;
+};
+/**
+ * Transitions to review phase with a proposed action. Only valid from combine.
+ * Starts the auto-approve deadline unless it is disabled (0).
+ * @param {State} state
+ * @param {import('./types.js').Proposal} proposal - Action awaiting the streamer
+ * @returns {boolean} True if transition succeeded
+ */
+export const transitionToReview = (state, proposal) => {
+  if (state.phase !== 'combine') {
+    console.log('[State] Cannot transition to review - current phase:', state.phase);
+    return false;
+  }
+  const seconds = state.config.reviewAutoApproveSeconds;
+  state.review = { ...proposal, endTime: seconds > 0 ? Date.now() + (seconds * 1000) : null };
+  state.phase = 'review';
+  console.log('[State] Transitioned: combine -> review');
+  return true;
+};
+/**
+ * Stops the auto-approve countdown so the streamer can edit without a deadline.
+ * @param {State} state
+ * @returns {boolean} True if a review was open
+ */
+export const holdReview = (state) => {
+  if (state.phase !== 'review' || !state.review) {
+    return false;
+  }
+  clearTimer(state, 'reviewTimer');
+  state.review.endTime = null;
+  console.log('[State] Review held for editing');
   return true;
 };
 /**
@@ -88,11 +241,14 @@ export const transitionToCombine = (state) => {
  */
 export const transitionToIdle = (state) => {
   const oldPhase = state.phase;
-  if (state.voteTimer) {
-    clearTimeout(state.voteTimer);
-    state.voteTimer = null;
-  }
+  clearTimer(state, 'voteTimer');
+  clearTimer(state, 'reviewTimer');
+  clearTimer(state, 'tieTimer');
   state.voteEndTime = null;
+  state.review = null;
+  state.pendingTie = null;
+  state.isRunoff = false;
+  state.rehearsal = false;
   state.phase = 'idle';
   console.log('[State] Transitioned:', oldPhase, '-> idle');
   return;
@@ -113,10 +269,7 @@ export const setAutoRepeatTimer = (state, timer) => {
  * @returns {void}
  */
 export const clearAutoRepeatTimer = (state) => {
-  if (state.autoRepeatTimer) {
-    clearTimeout(state.autoRepeatTimer);
-    state.autoRepeatTimer = null;
-  }
+  clearTimer(state, 'autoRepeatTimer');
   state.nextVoteStartTime = null;
   return;
 };
@@ -214,11 +367,13 @@ export const setVoteTimer = (state, timer) => {
  * Sets YouTube connected state.
  * @param {State} state
  * @param {string} videoId
+ * @param {{tabId: number, frameId: number}|null} [tab] - Live chat frame announcements are typed into
  * @returns {void}
  */
-export const setYouTubeConnected = (state, videoId) => {
+export const setYouTubeConnected = (state, videoId, tab = null) => {
   state.youtubeConnected = true;
   state.youtubeVideoId = videoId;
+  state.youtubeTab = tab;
   state.youtubeError = null;
   console.log('[State] YouTube connected:', videoId);
   return;
@@ -231,6 +386,7 @@ export const setYouTubeConnected = (state, videoId) => {
 export const setYouTubeDisconnected = (state) => {
   state.youtubeConnected = false;
   state.youtubeVideoId = null;
+  state.youtubeTab = null;
   console.log('[State] YouTube disconnected');
   return;
 };
@@ -254,25 +410,66 @@ export const setYouTubeError = (state, error) => {
 export const getPublicState = (state) => {
   // Serialize submissions with votes as arrays (Sets don't serialize to JSON)
   const serializedSubmissions = state.submissions.slice(0, 50).map(s => ({
+    index: s.index,
+    label: s.label,
     user: s.user,
+    platform: state.roundViewers.get(s.viewer)?.platform,
     text: s.text,
+    type: s.type,
     timestamp: s.timestamp,
-    voteCount: s.debugVoteCount || s.votes.size
+    voteCount: s.debugVoteCount || s.votes.size,
+    weightedVoteCount: getVoteCount(s, state.voterWeights)
   }));
   return {
     phase: state.phase,
+    roundType: state.roundType,
+    isRunoff: state.isRunoff,
+    rehearsal: state.rehearsal,
     submissionCount: state.submissions.length,
     submissions: serializedSubmissions,
+    paidQueue: state.paidQueue.map(m => ({ user: m.user, text: m.text, amountText: m.paid.amountText })),
     hasContext: !!state.context,
     shortId: state.shortId,
     hasToken: !!state.firebaseToken,
-    twitchConnected: state.twitchSocket?.readyState === WebSocket.OPEN,
     aidConnected: state.aidSocket?.readyState === WebSocket.OPEN,
-    youtubeConnected: state.youtubeConnected,
+    chatSources: getChatSourceStatuses(state),
     youtubeVideoId: state.youtubeVideoId,
     youtubeError: state.youtubeError,
+    youtubeMode: state.youtubeApi ? 'api' : 'dom',
+    youtubeApiError: state.youtubeApiError,
+    youtubeSendError: state.youtubeSendError,
     lastAICall: state.lastAICall,
+    storyVote: state.storyVote && {
+      command: state.storyVote.command,
+      requestedBy: state.storyVote.requestedBy,
+      yes: state.storyVote.yes.size,
+      no: state.storyVote.no.size,
+      endTime: state.storyVote.endTime
+    },
+    lastStoryCommand: state.lastStoryCommand,
+    review: state.review,
+    pendingTie: state.pendingTie && {
+      endTime: state.pendingTie.endTime,
+      options: getRoundCandidates(state).filter(s => state.pendingTie.indices.includes(s.index)).map(s => ({
+        index: s.index,
+        label: s.label,
+        user: s.user,
+        text: s.text,
+        type: s.type
+      }))
+    },
+    blockedUsers: [...state.blockedUsers].map(([key, name]) => ({ key, name })),
+    leaderboard: getLeaderboard(state, LEADERBOARD_SIZE),
+    testChatLog: state.testChatLog,
+    rateLimitStats: state.rateLimits.stats,
+    groups: getRoundCandidates(state).filter(s => s.memberIndices).map(s => ({
+      indices: s.memberIndices,
+      text: s.text,
+      voteCount: s.debugVoteCount || s.votes.size,
+      weightedVoteCount: getVoteCount(s, state.voterWeights)
+    })),
     voteEndTime: state.voteEndTime,
+    voteExtensions: state.voteExtensions,
     nextVoteStartTime: state.nextVoteStartTime,
     isPaused: state.isPaused,
     pausedVoteRemaining: state.pausedVoteRemaining,
@@ -282,12 +479,43 @@ export const getPublicState = (state) => {
       model: state.config.model,
       voteDurationSeconds: state.config.voteDurationSeconds,
       autoRepeatCooldownSeconds: state.config.autoRepeatCooldownSeconds,
+      tallyMode: state.config.tallyMode,
+      roundType: state.config.roundType,
+      reviewEnabled: !!state.config.reviewEnabled,
+      reviewAutoApproveSeconds: state.config.reviewAutoApproveSeconds,
+      bannedTerms: state.config.bannedTerms,
+      bannedTermAction: state.config.bannedTermAction,
+      submissionCooldownSeconds: state.config.submissionCooldownSeconds,
+      voteCooldownSeconds: state.config.voteCooldownSeconds,
+      maxEditsPerRound: state.config.maxEditsPerRound,
+      spamUserThreshold: state.config.spamUserThreshold,
+      clusterSubmissions: !!state.config.clusterSubmissions,
+      selfVote: !!state.config.selfVote,
+      subscriberVoteWeight: state.config.subscriberVoteWeight,
+      vipVoteWeight: state.config.vipVoteWeight,
+      founderVoteWeight: state.config.founderVoteWeight,
+      bitsPerVote: state.config.bitsPerVote,
+      superChatVotesPerTier: state.config.superChatVotesPerTier,
+      pointsPerWin: state.config.pointsPerWin,
+      pointsPerContribution: state.config.pointsPerContribution,
+      pointsPerVote: state.config.pointsPerVote,
+      pointsPerkThreshold: state.config.pointsPerkThreshold,
+      pointsPerkWeight: state.config.pointsPerkWeight,
+      tieBreak: state.config.tieBreak,
+      quorumMinSubmissions: state.config.quorumMinSubmissions,
+      quorumMinVoters: state.config.quorumMinVoters,
+      voteExtensionSeconds: state.config.voteExtensionSeconds,
+      maxVoteExtensions: state.config.maxVoteExtensions,
+      overtimeSeconds: state.config.overtimeSeconds,
       hasOpenRouterKey: !!state.config.openRouterApiKey,
       hasTwitchToken: !!state.config.twitchOAuthToken,
+      hasYouTubeApiKey: !!state.config.youtubeApiKey,
       debugMode: !!state.config.debugMode,
       playerCharacterName: state.config.playerCharacterName,
       partyMemberName: state.config.partyMemberName,
-      youtubeUrl: state.config.youtubeUrl
+      youtubeUrl: state.config.youtubeUrl,
+      youtubePostMessages: !!state.config.youtubePostMessages,
+      kickChannel: state.config.kickChannel
     }
   };
 };
@@ -1,5 +1,5 @@
 // Audience Multiplayer - Storage Module
-// Handles chrome.storage.sync (config) and chrome.storage.local (state)
+// Handles chrome.storage.sync (config), chrome.storage.local (state) and chrome.storage.session (round checkpoint)
 /** @typedef {import('./types.js').State} State */
 /** @typedef {import('./types.js').Config} Config */
 /**
@@ -11,7 +11,14 @@ export const loadConfig = async (state) => {
   const stored = await chrome.storage.sync.get([
     'openRouterApiKey', 'model', 'twitchChannel', 'twitchOAuthToken',
     'voteDurationSeconds', 'maxTokens', 'debugMode',
-    'playerCharacterName', 'partyMemberName', 'youtubeUrl', 'autoRepeatCooldownSeconds'
+    'playerCharacterName', 'partyMemberName', 'youtubeUrl', 'youtubeApiKey', 'youtubePostMessages', 'kickChannel', 'autoRepeatCooldownSeconds',
+    'tallyMode', 'roundType', 'reviewEnabled', 'reviewAutoApproveSeconds',
+    'bannedTerms', 'bannedTermAction',
+    'submissionCooldownSeconds', 'voteCooldownSeconds', 'maxEditsPerRound', 'spamUserThreshold',
+    'clusterSubmissions', 'selfVote', 'tieBreak',
+    'subscriberVoteWeight', 'vipVoteWeight', 'founderVoteWeight', 'bitsPerVote', 'superChatVotesPerTier',
+    'pointsPerWin', 'pointsPerContribution', 'pointsPerVote', 'pointsPerkThreshold', 'pointsPerkWeight',
+    'quorumMinSubmissions', 'quorumMinVoters', 'voteExtensionSeconds', 'maxVoteExtensions', 'overtimeSeconds'
   ]);
   state.config = { ...state.config, ...stored };
   console.log('[Config] Loaded:', Object.keys(stored).length, 'keys');
@@ -30,12 +37,12 @@ export const saveConfig = async (state, updates) => {
   return;
 };
 /**
- * Loads persisted local state (token, shortId) from chrome.storage.local.
- * @param {State} state - Application state (mutated: firebaseToken, tokenExpiry, shortId)
+ * Loads persisted local state (token, shortId, blocked users) from chrome.storage.local.
+ * @param {State} state - Application state (mutated: firebaseToken, tokenExpiry, shortId, blockedUsers)
  * @returns {Promise<void>}
  */
 export const loadLocalState = async (state) => {
-  const stored = await chrome.storage.local.get(['firebaseToken', 'tokenExpiry', 'shortId', 'aidOrigin', 'playerId']);
+  const stored = await chrome.storage.local.get(['firebaseToken', 'tokenExpiry', 'shortId', 'aidOrigin', 'playerId', 'blockedUsers']);
   if (stored.firebaseToken) {
     state.firebaseToken = stored.firebaseToken;
   }
@@ -51,10 +58,14 @@ export const loadLocalState = async (state) => {
   if (stored.playerId) {
     state.playerId = stored.playerId;
   }
+  if (stored.blockedUsers) {
+    // Older versions saved lowercased names, which now block that name on any platform
+    state.blockedUsers = new Map(stored.blockedUsers.map(entry => typeof entry === 'string' ? [`*:${entry}`, entry] : entry));
+  }
   return;
 };
 /**
- * Saves current local state (token, shortId) to chrome.storage.local.
+ * Saves current local state (token, shortId, blocked users) to chrome.storage.local.
  * @param {State} state - Application state to persist
  * @returns {Promise<void>}
  */
@@ -64,7 +75,106 @@ export const saveLocalState = async (state) => {
     tokenExpiry: state.tokenExpiry,
     shortId: state.shortId,
     aidOrigin: state.aidOrigin,
-    playerId: state.playerId
+    playerId: state.playerId,
+    blockedUsers: [...state.blockedUsers]
   });
   return;
 };
+/**
+ * Loads viewer points from chrome.storage.local.
+ * @param {State} state - Application state (mutated: viewerPoints)
+ * @returns {Promise<void>}
+ */
+export const loadViewerPoints = async (state) => {
+  const { viewerPoints } = await chrome.storage.local.get('viewerPoints');
+  state.viewerPoints = new Map(viewerPoints || []);
+  console.log('[Points] Loaded', state.viewerPoints.size, 'viewers');
+  return;
+};
+/**
+ * Saves viewer points to chrome.storage.local.
+ * @param {State} state - Application state to persist
+ * @returns {Promise<void>}
+ */
+export const saveViewerPoints = async (state) => {
+  await chrome.storage.local.set({ viewerPoints: [...state.viewerPoints] });
+  return;
+};
+/**
+ * Checkpoints the in-progress round to chrome.storage.session.
+ * Session storage survives service worker eviction but not a browser restart.
+ * @param {State} state - Application state to persist
+ * @returns {Promise<void>}
+ */
+export const saveRoundState = async (state) => {
+  await chrome.storage.session.set({
+    round: {
+      phase: state.phase,
+      roundType: state.roundType,
+      isRunoff: state.isRunoff,
+      rehearsal: state.rehearsal,
+      // Sets don't serialize to JSON, store votes as arrays
+      submissions: state.submissions.map(s => ({ ...s, votes: [...s.votes] })),
+      nextSubmissionIndex: state.nextSubmissionIndex,
+      rankings: [...state.rankings],
+      voterChoices: [...state.voterChoices],
+      voterWeights: [...state.voterWeights],
+      roundBits: [...state.roundBits],
+      roundPaid: [...state.roundPaid],
+      paidQueue: state.paidQueue,
+      roundViewers: [...state.roundViewers],
+      voteEndTime: state.voteEndTime,
+      voteExtensions: state.voteExtensions,
+      nextVoteStartTime: state.nextVoteStartTime,
+      isPaused: state.isPaused,
+      pausedVoteRemaining: state.pausedVoteRemaining,
+      pausedAutoRepeatRemaining: state.pausedAutoRepeatRemaining,
+      lastAICall: state.lastAICall,
+      storyVote: state.storyVote && { ...state.storyVote, yes: [...state.storyVote.yes], no: [...state.storyVote.no] },
+      lastStoryCommand: state.lastStoryCommand,
+      review: state.review,
+      pendingTie: state.pendingTie,
+      roundRecord: state.roundRecord
+    }
+  });
+  return;
+};
+/**
+ * Restores a checkpointed round from chrome.storage.session.
+ * Timers are not restarted here, see restoreRound in index.js.
+ * @param {State} state - Application state (mutated: phase, submissions, timers, pause state)
+ * @returns {Promise<boolean>} True if a checkpoint was found
+ */
+export const loadRoundState = async (state) => {
+  const { round } = await chrome.storage.session.get('round');
+  if (!round) {
+    return false;
+  }
+  state.phase = round.phase;
+  state.roundType = round.roundType || 'open';
+  state.isRunoff = !!round.isRunoff;
+  state.rehearsal = !!round.rehearsal;
+  state.submissions = round.submissions.map(s => ({ ...s, votes: new Set(s.votes) }));
+  state.nextSubmissionIndex = round.nextSubmissionIndex || state.submissions.length + 1;
+  state.rankings = new Map(round.rankings || []);
+  state.voterChoices = new Map(round.voterChoices || []);
+  state.voterWeights = new Map(round.voterWeights || []);
+  state.roundBits = new Map(round.roundBits || []);
+  state.roundPaid = new Map(round.roundPaid || []);
+  state.paidQueue = round.paidQueue || [];
+  state.roundViewers = new Map(round.roundViewers || []);
+  state.voteEndTime = round.voteEndTime;
+  state.voteExtensions = round.voteExtensions || 0;
+  state.nextVoteStartTime = round.nextVoteStartTime;
+  state.isPaused = round.isPaused;
+  state.pausedVoteRemaining = round.pausedVoteRemaining;
+  state.pausedAutoRepeatRemaining = round.pausedAutoRepeatRemaining;
+  state.lastAICall = round.lastAICall;
+  state.storyVote = round.storyVote ? { ...round.storyVote, yes: new Set(round.storyVote.yes), no: new Set(round.storyVote.no) } : null;
+  state.lastStoryCommand = round.lastStoryCommand || null;
+  state.review = round.review || null;
+  state.pendingTie = round.pendingTie || null;
+  state.roundRecord = round.roundRecord || null;
+  console.log('[Round] Restored checkpoint:', state.phase, 'with', state.submissions.length, 'submissions');
+  return true;
+};
@@ -0,0 +1,196 @@
+// Audience Multiplayer - Tally Module
+// Picks a winning submission in no-API mode (plurality, approval, instant-runoff)
+/** @typedef {import('./types.js').State} State */
+/** @typedef {import('./types.js').Submission} Submission */
+/**
+ * Outcome of a tally.
+ * @typedef {Object} TallyResult
+ * @property {Submission} winner - The winning submission
+ * @property {number} votes - Winner's weighted vote count in the deciding round
+ * @property {number} rawVotes - Winner's number of voters in the deciding round
+ * @property {function(Submission): number} rawCount - Number of voters for any option still counted in the deciding round
+ * @property {number} rounds - Number of counting rounds (1 unless instant-runoff eliminated options)
+ * @property {Submission[]} tied - Every option sharing the top count when there is a tie, otherwise empty
+ */
+/**
+ * Gets the weighted vote count for a submission (handles debug mode).
+ * Voters without a recorded weight count once.
+ * @param {Submission} submission - The submission
+ * @param {Map<string, number>} [weights] - Lowercased voter -> vote weight
+ * @returns {number} Weighted vote count
+ */
+export const getVoteCount = (submission, weights = new Map()) => {
+  if (submission.debugVoteCount) {
+    return submission.debugVoteCount;
+  }
+  let total = 0;
+  for (const voter of submission.votes) {
+    total += weights.get(voter) ?? 1;
+  }
+  return total;
+};
+/**
+ * Gets the number of voters for a submission, ignoring weights (handles debug mode).
+ * @param {Submission} submission - The submission
+ * @returns {number} Vote count
+ */
+export const getRawVoteCount = (submission) => {
+  return submission.debugVoteCount || submission.votes.size;
+};
+/**
+ * Gets the number of voters for a submission other than its author, whose
+ * self-vote every submission starts with (handles debug mode). A group's other
+ * authors count, since they backed the same idea.
+ * @param {Submission} submission - The submission
+ * @returns {number}
+ */
+export const getOutsideVoteCount = (submission) => {
+  if (submission.debugVoteCount) {
+    return submission.debugVoteCount;
+  }
+  const author = submission.viewer;
+  return [...submission.votes].filter(voter => voter !== author).length;
+};
+/**
+ * Orders submissions by count, then by votes from viewers other than the author,
+ * then most recent first.
+ * Ties for the win are reported separately (see TallyResult.tied); this order
+ * decides the winner when nobody but the authors voted, and which tied option
+ * instant-runoff eliminates.
+ * @param {Submission[]} submissions - Submissions to order
+ * @param {function(Submission): number} countFn - Count for each submission
+ * @returns {Submission[]} New sorted array
+ */
+const sortByCount = (submissions, countFn) => {
+  return [...submissions].sort((a, b) => {
+    const voteDiff = countFn(b) - countFn(a);
+    if (voteDiff !== 0) {
+      return voteDiff;
+    }
+    const outsideDiff = getOutsideVoteCount(b) - getOutsideVoteCount(a);
+    if (outsideDiff !== 0) {
+      return outsideDiff;
+    }
+    return b.timestamp - a.timestamp;
+  });
+};
+/**
+ * Lists the options sharing the top count, if more than one does. Self-votes
+ * don't make a tie: options must also have the same number of votes from other
+ * viewers, and at least one. A quiet round where each option has only its
+ * author's vote goes to the most recent submission, as before tie-breaks existed.
+ * @param {Submission[]} sorted - Options sorted by count, highest first
+ * @param {function(Submission): number} countFn - Count for each option
+ * @returns {Submission[]} Tied options, or empty when the leader is alone
+ */
+const findTied = (sorted, countFn) => {
+  const [leader] = sorted;
+  const outside = getOutsideVoteCount(leader);
+  const tied = sorted.filter(s => countFn(s) === countFn(leader) && getOutsideVoteCount(s) === outside);
+  return tied.length > 1 && outside > 0 ? tied : [];
+};
+/**
+ * Picks the submission with the most (weighted) votes, reporting any tie for first.
+ * Also used for approval mode, where each approval is already a vote.
+ * @param {Submission[]} submissions - Non-empty list of submissions
+ * @param {Map<string, number>} [weights] - Lowercased voter -> vote weight
+ * @returns {TallyResult}
+ */
+export const tallyPlurality = (submissions, weights = new Map()) => {
+  const countFn = s => getVoteCount(s, weights);
+  const sorted = sortByCount(submissions, countFn);
+  const winner = sorted[0];
+  return {
+    winner,
+    votes: countFn(winner),
+    rawVotes: getRawVoteCount(winner),
+    rawCount: getRawVoteCount,
+    rounds: 1,
+    tied: findTied(sorted, countFn)
+  };
+};
+/**
+ * Builds one ranked ballot per voter. Voters who used !rank keep their ranking;
+ * everyone else gets a ballot of the submissions they voted for, in list order.
+ * @param {Submission[]} submissions - Submissions in the round
+ * @param {Map<string, number[]>} rankings - Voter -> ranked option numbers
+ * @returns {Map<string, Submission[]>} Voter -> ballot, ordered by preference
+ */
+const buildBallots = (submissions, rankings) => {
+  // Grouped submissions answer to any of their members' option numbers
+  const findOption = (index) => submissions.find(s => (s.memberIndices || [s.index]).includes(index));
+  const ballots = new Map();
+  for (const submission of submissions) {
+    for (const voter of submission.votes) {
+      if (!rankings.has(voter)) {
+        ballots.set(voter, [...(ballots.get(voter) || []), submission]);
+      }
+    }
+  }
+  for (const [voter, indices] of rankings) {
+    const ranked = [...new Set(indices.map(findOption).filter(Boolean))];
+    if (ranked.length > 0) {
+      ballots.set(voter, ranked);
+    }
+  }
+  return ballots;
+};
+/**
+ * Runs an instant-runoff count: the option with the fewest first preferences is
+ * eliminated and its ballots transfer until one option holds a majority.
+ * Each ballot counts with its voter's weight.
+ * Ties for last place eliminate the earliest submission; if every remaining
+ * option is tied, counting stops and the tie is reported (unless only self-votes tie them).
+ * @param {Submission[]} submissions - Non-empty list of submissions
+ * @param {Map<string, number[]>} rankings - Voter -> ranked option numbers
+ * @param {function(Submission, number, number): void} onEliminate - Called with the eliminated submission, its weighted count, and the round number
+ * @param {Map<string, number>} [weights] - Lowercased voter -> vote weight
+ * @returns {TallyResult}
+ */
+export const tallyInstantRunoff = (submissions, rankings, onEliminate, weights = new Map()) => {
+  const ballots = buildBallots(submissions, rankings);
+  if (ballots.size === 0) {
+    return tallyPlurality(submissions, weights);
+  }
+  let remaining = [...submissions];
+  let round = 1;
+  while (true) {
+    const counts = new Map(remaining.map(s => [s, 0]));
+    const rawCounts = new Map(remaining.map(s => [s, 0]));
+    for (const [voter, ballot] of ballots) {
+      const top = ballot.find(s => counts.has(s));
+      if (top) {
+        counts.set(top, counts.get(top) + (weights.get(voter) ?? 1));
+        rawCounts.set(top, rawCounts.get(top) + 1);
+      }
+    }
+    const countFn = s => counts.get(s);
+    const sorted = sortByCount(remaining, countFn);
+    const leader = sorted[0];
+    const total = [...counts.values()].reduce((sum, n) => sum + n, 0);
+    const result = { winner: leader, votes: counts.get(leader), rawVotes: rawCounts.get(leader), rawCount: s => rawCounts.get(s) || 0, rounds: round };
+    if (remaining.length === 1 || counts.get(leader) * 2 > total) {
+      return { ...result, tied: [] };
+    }
+    if (countFn(sorted[sorted.length - 1]) === countFn(leader)) {
+      return { ...result, tied: findTied(sorted, countFn) };
+    }
+    const eliminated = sorted[sorted.length - 1];
+    onEliminate(eliminated, counts.get(eliminated), round);
+    remaining = remaining.filter(s => s !== eliminated);
+    round++;
+  }
+};
+/**
+ * Picks the winner using the configured tally mode.
+ * @param {State} state - Application state
+ * @param {function(Submission, number, number): void} onEliminate - Instant-runoff elimination callback
+ * @param {Submission[]} [submissions] - Candidates to count (defaults to the round's submissions)
+ * @returns {TallyResult}
+ */
+export const tallyVotes = (state, onEliminate, submissions = state.submissions) => {
+  if (state.config.tallyMode === 'instant-runoff') {
+    return tallyInstantRunoff(submissions, state.rankings, onEliminate, state.voterWeights);
+  }
+  return tallyPlurality(submissions, state.voterWeights);
+};
@@ -0,0 +1,97 @@
+// Audience Multiplayer - Test Chat Module
+// Builds injected chat messages and synthetic crowds for rehearsing without a live stream
+/** @typedef {import('./types.js').State} State */
+/** @typedef {import('./types.js').ChatMessage} ChatMessage */
+/** @typedef {import('./types.js').TestChatEntry} TestChatEntry */
+import { TEST_CHAT_LOG_SIZE, TEST_CROWD_ACTIONS, TEST_CROWD_DETAILS, TEST_CROWD_MAX } from './constants.js';
+import { createChatMessage } from './chat.js';
+/**
+ * Builds a chat message as if a viewer with the given badges had sent it.
+ * @param {string} user - Username to send as
+ * @param {string} text - Message content
+ * @param {string[]} [badges] - Badge names: broadcaster, moderator, subscriber, vip, founder
+ * @param {number} [bits] - Bits cheered with the message
+ * @returns {ChatMessage}
+ */
+export const createTestMessage = (user, text, badges = [], bits = 0) => createChatMessage({
+  platform: 'test',
+  user,
+  text,
+  roles: Object.fromEntries(badges.map(b => [b, true])),
+  bits
+});
+/**
+ * Adds a line to the test chat log, dropping the oldest past TEST_CHAT_LOG_SIZE.
+ * @param {State} state - Application state (mutated: testChatLog)
+ * @param {'viewer'|'bot'} from - Injected viewer message or the bot's own message
+ * @param {string} user - Sender (empty for the bot)
+ * @param {string} text - Message content
+ * @returns {void}
+ */
+export const logTestChat = (state, from, user, text) => {
+  state.testChatLog.push({ from, user, text, timestamp: Date.now() });
+  if (state.testChatLog.length > TEST_CHAT_LOG_SIZE) {
+    state.testChatLog.splice(0, state.testChatLog.length - TEST_CHAT_LOG_SIZE);
+  }
+  return;
+};
+/**
+ * Picks a random element.
+ * @template T
+ * @param {T[]} items - Non-empty list
+ * @returns {T}
+ */
+const pick = (items) => items[Math.floor(Math.random() * items.length)];
+/**
+ * Random badges for a crowd member: mostly plain viewers, some subscribers and VIPs.
+ * @returns {string[]}
+ */
+const randomBadges = () => {
+  const roll = Math.random();
+  if (roll < 0.05) {
+    return ['vip'];
+  }
+  if (roll < 0.1) {
+    return ['subscriber', 'founder'];
+  }
+  return roll < 0.3 ? ['subscriber'] : [];
+};
+/**
+ * Builds a synthetic crowd for the current round: submitters with random actions,
+ * then voters with random votes (letters in multiple-choice rounds, rankings in
+ * instant-runoff mode). Actions reuse a small phrase list so near-duplicates
+ * group and blends get batched like a real busy chat.
+ * @param {State} state - Application state
+ * @param {number} submitters - Number of viewers who submit (ignored in multiple-choice rounds and runoffs)
+ * @param {number} voters - Number of viewers who only vote
+ * @returns {ChatMessage[]} Messages to inject, submissions first
+ */
+export const generateCrowd = (state, submitters, voters) => {
+  const messages = [];
+  const batch = Date.now().toString(36).slice(-4);
+  const canSubmit = state.roundType === 'open' && !state.isRunoff;
+  const submitCount = canSubmit ? Math.min(submitters, TEST_CROWD_MAX) : 0;
+  for (let i = 1; i <= submitCount; i++) {
+    const action = `${pick(TEST_CROWD_ACTIONS)} ${pick(TEST_CROWD_DETAILS)}`;
+    const prefix = pick(['', '', '', 'say ', 'story ']);
+    messages.push(createTestMessage(`crowd_${batch}_${i}`, `> ${prefix}${action}`, randomBadges()));
+  }
+  // Voters can pick the crowd's submissions and anything already in the round
+  const options = [
+    ...state.submissions.map(s => s.label || String(s.index)),
+    ...Array.from({ length: submitCount }, (_, i) => String(state.nextSubmissionIndex + i))
+  ];
+  if (options.length === 0) {
+    return messages;
+  }
+  for (let i = 1; i <= Math.min(voters, TEST_CROWD_MAX); i++) {
+    const bits = Math.random() < 0.05 ? 100 : 0;
+    let text = `!${pick(options)}`;
+    if (state.config.tallyMode === 'instant-runoff' && options.length > 1 && Math.random() < 0.5) {
+      const ranked = [...options].sort(() => Math.random() - 0.5).slice(0, 3);
+      text = `!rank ${ranked.join(' ')}`;
+    }
+    messages.push(createTestMessage(`voter_${batch}_${i}`, text, randomBadges(), bits));
+  }
+  return messages;
+};
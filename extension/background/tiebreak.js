@@ -0,0 +1,42 @@
+// Audience Multiplayer - Tie-Break Module
+// Settles ties for first place in the no-API tally
+/** @typedef {import('./types.js').Submission} Submission */
+/**
+ * Small seeded PRNG (mulberry32) so a random tie-break can be reproduced from its logged seed.
+ * @param {number} seed - 32-bit seed
+ * @returns {function(): number} Returns floats in [0, 1)
+ */
+export const seededRandom = (seed) => {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6D2B79F5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), t | 1);
+    r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+};
+/**
+ * Settles a tie immediately with the latest, earliest or random strategy.
+ * Streamer picks and runoffs need the round to continue, so index.js handles those.
+ * @param {'latest'|'earliest'|'random'} strategy - How to pick
+ * @param {Submission[]} tied - Tied options (at least two)
+ * @returns {{winner: Submission, note: string}} The winner and a note for the announcement
+ */
+export const breakTie = (strategy, tied) => {
+  const options = tied.map(s => s.label || '#' + s.index).join(', ');
+  if (strategy === 'random') {
+    const seed = crypto.getRandomValues(new Uint32Array(1))[0];
+    const ordered = [...tied].sort((a, b) => a.index - b.index);
+    const winner = ordered[Math.floor(seededRandom(seed)() * ordered.length)];
+    console.log('[TieBreak] Random pick between', options, 'with seed', seed, '->', winner.label || '#' + winner.index);
+    return { winner, note: `tie broken at random, seed ${seed}` };
+  }
+  if (strategy === 'latest') {
+    const winner = tied.reduce((last, s) => s.index > last.index ? s : last);
+    console.log('[TieBreak] Latest of', options, '->', winner.label || '#' + winner.index);
+    return { winner, note: 'tie went to the latest submission' };
+  }
+  const winner = tied.reduce((first, s) => s.index < first.index ? s : first);
+  console.log('[TieBreak] Earliest of', options, '->', winner.label || '#' + winner.index);
+  return { winner, note: 'tie went to the earliest submission' };
+};
@@ -0,0 +1,58 @@
+// Audience Multiplayer - Timers Module
+// Phase timers backed by chrome.alarms so they survive service worker eviction
+/** @typedef {import('./types.js').State} State */
+/** @typedef {'voteTimer'|'autoRepeatTimer'|'storyVoteTimer'|'reviewTimer'|'tieTimer'} TimerSlot */
+/**
+ * Alarm name for each timer slot on State.
+ * @type {Record<TimerSlot, string>}
+ */
+export const TIMER_ALARMS = {
+  voteTimer: 'amp-vote-timer',
+  autoRepeatTimer: 'amp-auto-repeat-timer',
+  storyVoteTimer: 'amp-story-vote-timer',
+  reviewTimer: 'amp-review-timer',
+  tieTimer: 'amp-tie-timer'
+};
+/**
+ * Finds the timer slot an alarm belongs to.
+ * @param {string} alarmName - Name of the fired alarm
+ * @returns {TimerSlot|null} The matching slot, or null for foreign alarms
+ */
+export const getTimerSlot = (alarmName) => {
+  const entry = Object.entries(TIMER_ALARMS).find(([, name]) => name === alarmName);
+  return entry ? /** @type {TimerSlot} */ (entry[0]) : null;
+};
+/**
+ * Clears a timer slot, cancelling both the in-memory timeout and its alarm.
+ * @param {State} state - Application state (mutated: the given slot)
+ * @param {TimerSlot} slot - Which timer to clear
+ * @returns {void}
+ */
+export const clearTimer = (state, slot) => {
+  if (state[slot]) {
+    clearTimeout(state[slot]);
+    state[slot] = null;
+  }
+  chrome.alarms.clear(TIMER_ALARMS[slot]).catch(() => {});
+  return;
+};
+/**
+ * Starts a timer that fires at an absolute time.
+ * The setTimeout keeps sub-30s timers precise while the worker is alive; the
+ * alarm wakes the worker if it was evicted in the meantime. Whichever fires
+ * first clears the other.
+ * @param {State} state - Application state (mutated: the given slot)
+ * @param {TimerSlot} slot - Which timer to start
+ * @param {number} when - Unix timestamp (ms) when the timer should fire
+ * @param {function(): void} onFire - Called once when the timer expires
+ * @returns {void}
+ */
+export const startTimer = (state, slot, when, onFire) => {
+  clearTimer(state, slot);
+  state[slot] = setTimeout(() => {
+    clearTimer(state, slot);
+    onFire();
+  }, Math.max(0, when - Date.now()));
+  chrome.alarms.create(TIMER_ALARMS[slot], { when }).catch(() => {});
+  return;
+};
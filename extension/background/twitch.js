@@ -2,9 +2,19 @@
 // Handles Twitch IRC WebSocket connection, OAuth, and message parsing
 /** @typedef {import('./types.js').State} State */
 /** @typedef {import('./types.js').Config} Config */
-/** @typedef {import('./types.js').TwitchMessage} TwitchMessage */
+/** @typedef {import('./types.js').ChatMessage} ChatMessage */
+/** @typedef {import('./types.js').ChatSource} ChatSource */
 /** @typedef {import('./types.js').TwitchAuthResult} TwitchAuthResult */
-import { TWITCH_CLIENT_ID, TWITCH_SCOPES, TWITCH_IRC_URL, TWITCH_BOT_NICK } from './constants.js';
+import {
+  TWITCH_CLIENT_ID,
+  TWITCH_SCOPES,
+  TWITCH_IRC_URL,
+  TWITCH_BOT_NICK,
+  TWITCH_CHEERMOTE_PREFIXES,
+  TWITCH_SEND_INTERVAL_MS,
+  TWITCH_SEND_QUEUE_MAX
+} from './constants.js';
+import { createChatMessage } from './chat.js';
 export class TwitchError extends Error {
   /** @param {string} message */
   constructor(message) {
@@ -12,24 +22,72 @@ export class TwitchError extends Error {
     this.name = 'TwitchError';
   }
 }
+/** Messages waiting to be sent, oldest first */
+let sendQueue = [];
+/** Timer for the next send; null when nothing was sent within the last interval */
+let sendTimer = null;
 /**
- * Parses a Twitch IRC PRIVMSG line into user, text, and badge info.
- * Handles both tagged and untagged formats.
+ * Removes the cheermotes (e.g. Cheer100) from a cheer message so it can still carry
+ * a vote or submission. Words with a known cheermote prefix are removed first. If
+ * they don't add up to the bits cheered, the rest must be channel cheermotes, so
+ * other word+number tokens are removed only when they make up exactly the
+ * remainder; words like potion2 or room101 are kept otherwise.
+ * @param {string} text - Message text
+ * @param {number} bits - Bits cheered, from the bits tag
+ * @returns {string}
+ */
+export const stripCheermotes = (text, bits) => {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const amounts = tokens.map(token => {
+    const match = token.match(/^([a-z0-9]*[a-z])(\d+)$/i);
+    return match ? { prefix: match[1].toLowerCase(), amount: parseInt(match[2]) } : null;
+  });
+  const removed = new Set();
+  let remaining = bits;
+  amounts.forEach((cheer, i) => {
+    if (cheer && TWITCH_CHEERMOTE_PREFIXES.includes(cheer.prefix) && cheer.amount <= remaining) {
+      removed.add(i);
+      remaining -= cheer.amount;
+    }
+  });
+  if (remaining > 0) {
+    const others = [...amounts.keys()].filter(i => amounts[i] && !removed.has(i));
+    const single = others.find(i => amounts[i].amount === remaining);
+    const total = others.reduce((sum, i) => sum + amounts[i].amount, 0);
+    if (single !== undefined) {
+      removed.add(single);
+    } else if (total === remaining) {
+      others.forEach(i => removed.add(i));
+    }
+  }
+  return tokens.filter((token, i) => !removed.has(i)).join(' ');
+};
+/**
+ * Parses a Twitch IRC PRIVMSG line into a normalized chat message with roles and bits.
+ * Handles both tagged and untagged formats. Cheer messages have their
+ * cheermotes (e.g. Cheer100) removed so a cheer can still carry a vote.
  * @param {string} line - Raw IRC line
- * @returns {TwitchMessage|null} Parsed message or null if not a PRIVMSG
+ * @returns {ChatMessage|null} Parsed message or null if not a PRIVMSG
  */
 export const parseTwitchMessage = (line) => {
-  // Tagged format: @badge-info=...;badges=broadcaster/1,moderator/1;... :user!user@user.tmi.twitch.tv PRIVMSG #channel :message
+  // Tagged format: @badge-info=...;badges=broadcaster/1,moderator/1;bits=100;... :user!user@user.tmi.twitch.tv PRIVMSG #channel :message
   // Untagged format: :user!user@user.tmi.twitch.tv PRIVMSG #channel :message
-  let isBroadcaster = false;
-  let isMod = false;
-  // Extract badges from tags if present
+  let badgeNames = [];
+  let bits = 0;
+  let userId = null;
+  // Extract badges and bits from tags if present
   if (line.startsWith('@')) {
-    const badgesMatch = line.match(/badges=([^;]*)/);
+    const badgesMatch = line.match(/[@;]badges=([^; ]*)/);
     if (badgesMatch) {
-      const badges = badgesMatch[1].toLowerCase();
-      isBroadcaster = badges.includes('broadcaster');
-      isMod = badges.includes('moderator');
+      badgeNames = badgesMatch[1].toLowerCase().split(',').map(b => b.split('/')[0]);
+    }
+    const bitsMatch = line.match(/[@;]bits=(\d+)/);
+    if (bitsMatch) {
+      bits = parseInt(bitsMatch[1]);
+    }
+    const userIdMatch = line.match(/[@;]user-id=(\d+)/);
+    if (userIdMatch) {
+      userId = userIdMatch[1];
     }
   }
   // Extract user and message
@@ -37,12 +95,25 @@ export const parseTwitchMessage = (line) => {
   if (!match) {
     return null;
   }
-  return {
+  let text = match[2].trim();
+  if (bits > 0) {
+    text = stripCheermotes(text, bits);
+  }
+  return createChatMessage({
+    platform: 'twitch',
+    userId,
     user: match[1],
-    text: match[2].trim(),
-    isBroadcaster,
-    isMod
-  };
+    text,
+    roles: {
+      broadcaster: badgeNames.includes('broadcaster'),
+      moderator: badgeNames.includes('moderator'),
+      subscriber: badgeNames.includes('subscriber'),
+      vip: badgeNames.includes('vip'),
+      founder: badgeNames.includes('founder')
+    },
+    bits,
+    raw: line
+  });
 };
 /**
  * Disconnects from Twitch IRC if connected.
@@ -50,6 +121,9 @@ export const parseTwitchMessage = (line) => {
  * @returns {void}
  */
 export const disconnectTwitch = (state) => {
+  clearTimeout(sendTimer);
+  sendTimer = null;
+  sendQueue = [];
   if (state.twitchSocket) {
     state.twitchSocket.close();
     state.twitchSocket = null;
@@ -57,15 +131,42 @@ export const disconnectTwitch = (state) => {
   return;
 };
 /**
- * Sends a message to the configured Twitch channel.
+ * Sends the oldest queued message, then waits out the send interval before the
+ * next one. Messages are dropped if the socket closed while they waited.
  * @param {State} state - Application state
- * @param {string} message - Message to send
  * @returns {void}
  */
-export const sendTwitchMessage = (state, message) => {
+const drainSendQueue = (state) => {
+  const message = sendQueue.shift();
+  if (message === undefined) {
+    sendTimer = null;
+    return;
+  }
   if (state.twitchSocket?.readyState === WebSocket.OPEN && state.config.twitchChannel) {
     state.twitchSocket.send(`PRIVMSG #${state.config.twitchChannel.toLowerCase()} :${message}`);
   }
+  sendTimer = setTimeout(() => drainSendQueue(state), TWITCH_SEND_INTERVAL_MS);
+  return;
+};
+/**
+ * Queues a message for the configured Twitch channel. Messages go out at most
+ * one per TWITCH_SEND_INTERVAL_MS to stay under Twitch's rate limit, and when the
+ * queue is full the oldest is dropped so announcements don't lag behind the round.
+ * @param {State} state - Application state
+ * @param {string} message - Message to send
+ * @returns {void}
+ */
+export const sendTwitchMessage = (state, message) => {
+  if (state.twitchSocket?.readyState !== WebSocket.OPEN || !state.config.twitchChannel) {
+    return;
+  }
+  sendQueue.push(message);
+  if (sendQueue.length > TWITCH_SEND_QUEUE_MAX) {
+    console.warn('[Twitch] Send queue full, dropping:', sendQueue.shift());
+  }
+  if (!sendTimer) {
+    sendTimer = setTimeout(() => drainSendQueue(state), 0);
+  }
   return;
 };
 /**
@@ -115,6 +216,32 @@ export const connectTwitch = (state, config, onMessage, onConnectionChange = ()
   };
   return;
 };
+/**
+ * Twitch chat source: IRC over WebSocket, sending as the authenticated account.
+ * @type {ChatSource}
+ */
+export const twitchSource = {
+  id: 'twitch',
+  label: 'Twitch',
+  isEnabled: () => true,
+  connect: (state, onMessage, onStatusChange) => {
+    const onLine = (line) => {
+      const message = parseTwitchMessage(line);
+      if (message) {
+        onMessage(message);
+      }
+      return;
+    };
+    connectTwitch(state, state.config, onLine, onStatusChange);
+    return;
+  },
+  disconnect: disconnectTwitch,
+  getStatus: (state) => {
+    const connected = state.twitchSocket?.readyState === WebSocket.OPEN;
+    return { status: connected ? 'connected' : 'disconnected', detail: connected ? 'Connected' : 'Disconnected' };
+  },
+  send: sendTwitchMessage
+};
 /**
  * Initiates Twitch OAuth flow and stores the token.
  * @param {State} state - Application state
@@ -13,16 +13,56 @@
  * @property {string} playerCharacterName - Streamer's character name in the story
  * @property {string} partyMemberName - Character name for Twitch chat actions
  * @property {string} youtubeUrl - YouTube livestream URL (optional)
+ * @property {string} kickChannel - Kick channel name or chatroom id to read chat from (optional)
+ * @property {string} youtubeApiKey - YouTube Data API key or OAuth access token; when set, chat is polled instead of read from the tab (optional)
+ * @property {boolean} youtubePostMessages - Post announcements to YouTube chat as the logged-in account (or through the API with an OAuth token)
  * @property {number|null} autoRepeatCooldownSeconds - Seconds after vote ends before next auto-vote (null = disabled)
+ * @property {'plurality'|'instant-runoff'|'approval'} tallyMode - How the no-API winner is picked
+ * @property {'open'|'choices'} roundType - Free-text submissions, or AI-written options voted on by letter
+ * @property {boolean} reviewEnabled - Hold each action for streamer approval before submitting
+ * @property {number} reviewAutoApproveSeconds - Seconds before an unreviewed action is approved (0 = wait for the streamer)
+ * @property {string} bannedTerms - Newline-separated banned words, or /regex/flags lines
+ * @property {'reject'|'mask'} bannedTermAction - Whether a banned term rejects the submission or is masked with asterisks
+ * @property {number} submissionCooldownSeconds - Minimum seconds between one user's submissions (0 = off)
+ * @property {number} voteCooldownSeconds - Minimum seconds between one user's votes (0 = off)
+ * @property {number} maxEditsPerRound - Times a user may change their submission per round (0 = unlimited)
+ * @property {number} spamUserThreshold - Identical text from this many users counts as copy-paste spam (0 = off)
+ * @property {boolean} clusterSubmissions - Group near-duplicate submissions before tallying and blending
+ * @property {boolean} selfVote - Count a submission as a vote from its submitter
+ * @property {number} subscriberVoteWeight - Vote weight for Twitch subscribers
+ * @property {number} vipVoteWeight - Vote weight for Twitch VIPs
+ * @property {number} founderVoteWeight - Vote weight for Twitch founders
+ * @property {number} bitsPerVote - Bits cheered during a vote that add one to the viewer's weight (0 = cheers don't count)
+ * @property {number} superChatVotesPerTier - Votes a Super Chat or Super Sticker adds per colour tier, 1 (blue) to 7 (red) (0 = Super Chats don't count)
+ * @property {number} pointsPerWin - Points for the winning submitter
+ * @property {number} pointsPerContribution - Points for each submitter blended into the action
+ * @property {number} pointsPerVote - Points for each viewer who voted for the winner
+ * @property {number} pointsPerkThreshold - Points needed for the vote-weight perk (0 = no perk)
+ * @property {number} pointsPerkWeight - Minimum vote weight for viewers past the perk threshold
+ * @property {'latest'|'earliest'|'random'|'streamer'|'runoff'} tieBreak - How a tie for first is settled in the no-API tally
+ * @property {number} quorumMinSubmissions - Submissions needed before an open vote closes (0 = no minimum)
+ * @property {number} quorumMinVoters - Unique voters needed before a vote closes (0 = no minimum)
+ * @property {number} voteExtensionSeconds - Seconds added when quorum isn't met
+ * @property {number} maxVoteExtensions - Quorum extensions and overtimes allowed per vote
+ * @property {number} overtimeSeconds - A new submission with less than this left extends the vote to this long (0 = off)
+ */
+/**
+ * AI Dungeon action type for a submission.
+ * @typedef {'do'|'say'|'story'|'continue'} ActionType
  */
 /**
  * A user submission during the vote phase.
  * @typedef {Object} Submission
+ * @property {number} index - Stable option number within the round (viewers vote with !index)
+ * @property {string} [label] - Choice letter (A, B, C...) for AI-written options in multiple-choice rounds
  * @property {string} user - Username who submitted
- * @property {string} text - The action text
+ * @property {string|null} viewer - Viewer key of the submitter (null for AI-written options)
+ * @property {string} text - The action text (empty for continue)
+ * @property {ActionType} type - AI Dungeon action type
  * @property {number} timestamp - Unix timestamp of submission
- * @property {Set<string>} votes - Set of usernames who voted for this
+ * @property {Set<string>} votes - Viewer keys of everyone who voted for this
  * @property {number} [debugVoteCount] - Debug mode vote counter (bypasses Set dedup)
+ * @property {number[]} [memberIndices] - Set on grouped near-duplicates: option numbers of every submission in the group
  */
 /**
  * Context update received from AI Dungeon WebSocket.
@@ -39,18 +79,44 @@
 /**
  * Application state for the background service worker.
  * @typedef {Object} State
- * @property {'idle'|'vote'|'combine'} phase - Current phase of the voting cycle
+ * @property {'idle'|'vote'|'combine'|'review'} phase - Current phase of the voting cycle
+ * @property {'open'|'choices'} roundType - Type of the current round
+ * @property {boolean} isRunoff - Whether the current vote is a runoff between tied options (submissions closed)
+ * @property {boolean} rehearsal - Round was started from test chat: nothing reaches real chat, AI Dungeon, points or history
  * @property {Submission[]} submissions - Current submissions in this vote cycle
+ * @property {number} nextSubmissionIndex - Option number for the next new submission in this round
+ * @property {Map<string, number[]>} rankings - Viewer key -> ranked option numbers (instant-runoff)
+ * @property {Map<string, number>} voterWeights - Viewer key -> vote weight this round (absent = 1)
+ * @property {Map<string, number>} roundBits - Viewer key -> bits cheered this round
+ * @property {Map<string, number>} roundPaid - Viewer key -> Super Chat and Super Sticker tiers sent this round, added up
+ * @property {ChatMessage[]} paidQueue - Super Chat actions sent while submissions were closed, replayed when the next free-text round opens
+ * @property {Map<string, {platform: string, name: string}>} roundViewers - Viewer key -> platform and display name, for everyone who chatted during the vote
+ * @property {Map<string, ViewerPoints>} viewerPoints - Viewer key -> points (persisted in chrome.storage.local; older entries keyed 'platform:name' move over when next awarded)
+ * @property {Map<string, number>} voterChoices - Viewer key -> option number of their one vote this round (not used in approval mode)
+ * @property {Map<string, string>} blockedUsers - Viewer key, or '*:name' for a name on any platform -> display name, ignored in chat (persisted in chrome.storage.local)
+ * @property {RateLimits} rateLimits - Per-user chat limits for the current round
+ * @property {Map<string, number>} infoCooldowns - Info command, 'command:viewerKey' for personal ones, or 'storyvote' for the no-vote-open reply -> timestamp of its last reply
  * @property {AIDContext|null} context - Latest context update from AI Dungeon
  * @property {string|null} shortId - Current adventure shortId from URL
  * @property {string|null} aidOrigin - Origin hostname (e.g., "play.aidungeon.com")
  * @property {string|null} firebaseToken - Firebase auth token for AID API
  * @property {number|null} tokenExpiry - Token expiry timestamp
  * @property {WebSocket|null} twitchSocket - Twitch IRC WebSocket connection
+ * @property {WebSocket|null} kickSocket - Kick Pusher WebSocket connection
+ * @property {boolean} kickConnected - Subscribed to the Kick chatroom
+ * @property {string|null} kickError - Why the Kick connection failed, if it did
  * @property {WebSocket|null} aidSocket - AI Dungeon GraphQL WebSocket connection
- * @property {number|null} voteTimer - setTimeout handle for vote duration
- * @property {number|null} autoRepeatTimer - setTimeout handle for auto-repeat delay
+ * @property {number|null} voteTimer - setTimeout handle for vote duration (mirrored by a chrome.alarms alarm)
+ * @property {number|null} autoRepeatTimer - setTimeout handle for auto-repeat delay (mirrored by a chrome.alarms alarm)
+ * @property {number|null} storyVoteTimer - setTimeout handle for the retry/undo vote (mirrored by a chrome.alarms alarm)
+ * @property {StoryVote|null} storyVote - Open chat vote to retry/undo the last AI output
+ * @property {StoryCommandResult|null} lastStoryCommand - Outcome of the last retry/undo
+ * @property {number|null} reviewTimer - setTimeout handle for review auto-approve (mirrored by a chrome.alarms alarm)
+ * @property {Review|null} review - Action awaiting streamer review
+ * @property {number|null} tieTimer - setTimeout handle for the streamer tie pick deadline (mirrored by a chrome.alarms alarm)
+ * @property {PendingTie|null} pendingTie - Tie waiting for the streamer to pick a winner
  * @property {number|null} voteEndTime - Timestamp when current vote phase ends
+ * @property {number} voteExtensions - Quorum extensions and overtimes used in the current vote
  * @property {number|null} nextVoteStartTime - Timestamp when next auto vote starts
  * @property {boolean} isPaused - Whether voting is paused
  * @property {number|null} pausedVoteRemaining - Remaining ms in vote phase when paused
@@ -61,6 +127,128 @@
  * @property {boolean} youtubeConnected - YouTube tab detected and chat readable
  * @property {string|null} youtubeVideoId - Current YouTube video ID
  * @property {YouTubeDOMError|null} youtubeError - DOM breakage error details
+ * @property {YouTubeApiPoll|null} youtubeApi - Data API polling in progress (null when reading the live chat tab)
+ * @property {string|null} youtubeApiError - Why Data API polling stopped, if it did
+ * @property {{tabId: number, frameId: number}|null} youtubeTab - Live chat frame the content script runs in, for posting
+ * @property {string|null} youtubeSendError - Why the last post to YouTube chat failed, cleared by the next success
+ * @property {RoundRecord|null} roundRecord - History record of the round in progress
+ * @property {TestChatEntry[]} testChatLog - Injected test messages and the bot's chat messages, oldest first
+ */
+/**
+ * Per-round rate-limit tracking. Keys are viewer keys.
+ * @typedef {Object} RateLimits
+ * @property {Map<string, number>} lastSubmission - Timestamp of each user's last accepted submission
+ * @property {Map<string, number>} lastVote - Timestamp of each user's last accepted vote
+ * @property {Map<string, number>} edits - Number of edits each user has made this round
+ * @property {Map<string, Set<string>>} textUsers - Normalized submission text -> users who sent it
+ * @property {{submissionCooldown: number, voteCooldown: number, editCap: number, spam: number}} stats - Rejected messages this round, by reason
+ */
+/**
+ * A chat yes/no vote to retry or undo the last AI output.
+ * @typedef {Object} StoryVote
+ * @property {'retry'|'undo'} command - Command being voted on
+ * @property {string} requestedBy - Username who opened the vote
+ * @property {string} requesterKey - Viewer key of whoever opened the vote
+ * @property {Set<string>} yes - Viewer keys voting yes
+ * @property {Set<string>} no - Viewer keys voting no
+ * @property {number} endTime - Timestamp when the vote closes
+ */
+/**
+ * Outcome of a retry/undo sent to AI Dungeon.
+ * @typedef {Object} StoryCommandResult
+ * @property {'retry'|'undo'} command - Command that was sent
+ * @property {boolean} success - Whether AI Dungeon accepted it
+ * @property {string} [error] - Error message if it failed
+ * @property {number} timestamp - When it was sent
+ */
+/**
+ * An action picked for the round, ready to submit.
+ * @typedef {Object} Proposal
+ * @property {string} text - Action text (empty for continue)
+ * @property {ActionType} type - AI Dungeon action type
+ * @property {string} announcement - Chat message posted when it is submitted
+ * @property {boolean} canReblend - Whether a new blend can be requested (API-blended actions only)
+ * @property {RoundCredits} [credits] - Who earns points once the action is submitted
+ * @property {{index: number, votes: number, rawVotes: number, rounds: number, note: string}} [tally] - How a tally winner won (not set for blends)
+ */
+/**
+ * Viewers credited for a round, as viewer keys. Each appears in one list only.
+ * @typedef {Object} RoundCredits
+ * @property {string[]} winners - Submitter of the winning option
+ * @property {string[]} contributors - Submitters blended into the action, or grouped with the winner
+ * @property {string[]} voters - Viewers who voted for the winner or a blended option
+ */
+/**
+ * A viewer's points, stored per platform identity in chrome.storage.local.
+ * @typedef {Object} ViewerPoints
+ * @property {string} platform - Chat platform the viewer was seen on
+ * @property {string} name - Display name as last seen in chat
+ * @property {number} points - Total points
+ * @property {number} wins - Rounds their submission won
+ * @property {number} contributions - Rounds their submission was blended in or grouped with the winner
+ * @property {number} votes - Rounds they voted for the winner
+ * @property {number} [updatedAt] - When they last earned points
+ */
+/**
+ * A tie for first that the tally couldn't settle by itself.
+ * @typedef {Object} PendingTie
+ * @property {'streamer'|'runoff'} strategy - Whether the streamer picks or chat votes again
+ * @property {number[]} indices - Option numbers of the tied submissions
+ * @property {number} votes - Weighted count each tied option had
+ * @property {number[]} rawVotes - Number of voters for each tied option, in the same order as indices
+ * @property {number} rounds - Counting rounds before the tie
+ * @property {number|null} endTime - When the streamer pick falls back to the latest submission
+ */
+/**
+ * A proposal held in the review phase. endTime is when it auto-approves (null = waits for the streamer).
+ * @typedef {Proposal & {endTime: number|null}} Review
+ */
+/**
+ * How a round ended: submitted to AI Dungeon, submit failed, skipped by a mod,
+ * rejected in review, interrupted by a worker restart, or nothing to submit.
+ * @typedef {'submitted'|'failed'|'skipped'|'rejected'|'interrupted'|'nothing'} RoundOutcome
+ */
+/**
+ * One submission as recorded in the round history.
+ * @typedef {Object} RoundSubmission
+ * @property {number} index - Option number
+ * @property {string} [label] - Choice letter for AI-written options
+ * @property {string} user - Username who submitted
+ * @property {string|null} platform - Chat platform the submitter was seen on
+ * @property {string} text - Action text
+ * @property {ActionType} type - Action type
+ * @property {number} timestamp - When it was submitted (or last edited)
+ * @property {string[]} voters - Names of the viewers who voted for it
+ * @property {number} weightedVotes - Weighted vote count
+ */
+/**
+ * Everything that happened in one round, archived to IndexedDB when it ends.
+ * @typedef {Object} RoundRecord
+ * @property {number} [id] - IndexedDB key, set once archived
+ * @property {number} [sessionId] - Stream session the round belongs to, set once archived
+ * @property {number} [number] - Round number within its session, set once archived
+ * @property {number} startedAt - When the vote opened
+ * @property {number|null} endedAt - When the round finished
+ * @property {string|null} shortId - Adventure the round was played in
+ * @property {'open'|'choices'} roundType - Free-text or multiple-choice round
+ * @property {string|null} mode - 'blend', or the tally mode that picked the winner
+ * @property {RoundSubmission[]} submissions - Submissions and voters when the vote closed
+ * @property {Array<[string, number[]]>} rankings - Voter name -> ranked option numbers
+ * @property {Array<{index: number, voters: string[]}>|null} runoff - Votes in a tie runoff, if there was one
+ * @property {Array<AICallDebug & {kind: 'choices'|'blend'}>} aiCalls - OpenRouter prompts and responses
+ * @property {Array<{text: string, type: ActionType, announcement: string, tally: Object|null}>} proposals - Proposed actions, one per blend or tally
+ * @property {RoundOutcome|null} outcome - How the round ended
+ * @property {string|null} finalText - Text sent to AI Dungeon (after any review edit)
+ * @property {ActionType|null} finalType - Action type sent to AI Dungeon
+ * @property {string|null} error - submitToAID error, if it failed
+ */
+/**
+ * A stream session: rounds with no gap longer than HISTORY_SESSION_GAP_MINUTES.
+ * @typedef {Object} HistorySession
+ * @property {number} [id] - IndexedDB key
+ * @property {number} startedAt - When its first round started
+ * @property {number} endedAt - When its last round ended
+ * @property {number} rounds - Number of rounds archived
  */
 /**
  * Debug info for the "Combined" call.
@@ -75,15 +263,83 @@
  * Callbacks passed to modules for cross-cutting concerns.
  * @typedef {Object} Callbacks
  * @property {function(): void} broadcastState - Notify popup/UI of state change
- * @property {function(string): void} sendTwitchMessage - Send a message to Twitch chat
+ * @property {function(string): void} sendChatMessage - Send a message to every chat source that can post
+ */
+/**
+ * YouTube Data API live chat polling.
+ * @typedef {Object} YouTubeApiPoll
+ * @property {string|null} videoId - Livestream the chat belongs to
+ * @property {string|null} liveChatId - Live chat being polled (null while it's being looked up)
+ * @property {string|null} pageToken - Token for the next page of messages
+ * @property {number|null} timer - setTimeout handle for the next poll
+ * @property {boolean} connected - First page fetched; later pages are new chat
+ * @property {number} failures - Failed polls in a row, for the retry backoff
+ */
+/**
+ * Sender's roles in the channel. Platforms without a role report false.
+ * @typedef {Object} ChatRoles
+ * @property {boolean} broadcaster - Channel owner
+ * @property {boolean} moderator - Channel moderator
+ * @property {boolean} subscriber - Subscriber or channel member
+ * @property {boolean} vip - VIP (Twitch, Kick)
+ * @property {boolean} founder - Founder (Twitch, Kick)
+ * @property {boolean} verified - Verified channel (YouTube); no effect on permissions or weights
+ */
+/**
+ * Chat message normalized by its source, handled the same way for every platform.
+ * @typedef {Object} ChatMessage
+ * @property {string} platform - Source id: 'twitch', 'youtube', 'kick', or 'test' for injected messages
+ * @property {string} userId - Stable id for the sender on that platform
+ * @property {string} user - Display name
+ * @property {string} text - Message content
+ * @property {ChatRoles} roles - Sender's roles
+ * @property {number} bits - Bits cheered with this message (0 if none)
+ * @property {PaidMessage|null} paid - Super Chat, Super Sticker or membership details (YouTube), null for ordinary chat
+ * @property {*} raw - Original payload (IRC line, content script message...)
+ */
+/**
+ * A chat viewer. Per-viewer state is keyed on platform and user id, so a renamed
+ * viewer keeps their votes and points, and same-named viewers on two platforms stay apart.
+ * @typedef {Object} Viewer
+ * @property {string} key - 'platform:userId', e.g. 'twitch:12345'
+ * @property {string} name - Display name, for chat and the popup
+ * @property {string} platform - Chat platform
+ */
+/**
+ * Paid or membership chat item. Amounts are in the viewer's currency and never converted.
+ * @typedef {Object} PaidMessage
+ * @property {'superchat'|'supersticker'|'membership'|'milestone'} kind - Super Chat, Super Sticker, new member, or membership milestone
+ * @property {number} amount - Amount paid (0 for memberships)
+ * @property {string|null} currency - ISO code from the Data API, or the symbol shown in chat (e.g. '$', 'CA$')
+ * @property {string} amountText - Amount as displayed, e.g. '$5.00'
+ * @property {string|null} tier - Super Chat colour tier '1' (blue) to '7' (red), or membership level name. Queued
+ *   Super Chats from one viewer hold the sum of their tiers
+ */
+/**
+ * Connection status of a chat source, shown as a popup status dot.
+ * @typedef {Object} ChatSourceStatus
+ * @property {'connected'|'disconnected'|'error'} status - Dot color
+ * @property {string} detail - Tooltip text
+ */
+/**
+ * Adapter for one chat platform. Registered in chat.js; the shared pipeline in
+ * index.js handles parsing, permissions and commands for every source.
+ * @typedef {Object} ChatSource
+ * @property {string} id - Platform id, used as ChatMessage.platform
+ * @property {string} label - Name shown in the popup
+ * @property {function(State): boolean} isEnabled - Whether the source is configured and its dot shown
+ * @property {function(State, function(ChatMessage): void, function(): void, string=): void} connect - Start reading chat, from the given server URL if one is passed (sources that don't support it ignore it); throws if not configured
+ * @property {function(State): void} disconnect - Stop reading chat
+ * @property {function(State): ChatSourceStatus} getStatus - Current connection status
+ * @property {(function(State, string): void)|null} send - Post a message to chat, or null if the source is read-only
  */
 /**
- * Parsed Twitch IRC PRIVMSG.
- * @typedef {Object} TwitchMessage
- * @property {string} user - Username who sent the message
+ * One line in the popup's test chat console.
+ * @typedef {Object} TestChatEntry
+ * @property {'viewer'|'bot'} from - Injected viewer message or the bot's own message
+ * @property {string} user - Injected sender (empty for the bot)
  * @property {string} text - Message content
- * @property {boolean} isBroadcaster - Whether user has broadcaster badge
- * @property {boolean} isMod - Whether user has moderator badge
+ * @property {number} timestamp - When it was logged
  */
 /**
  * Result of Twitch OAuth flow.
@@ -102,9 +358,10 @@
 /**
  * Dependencies injected into voting module for decoupling.
  * @typedef {Object} VotingDeps
- * @property {function(State, string, function(string): void): Promise<void>} submitToAID - Submit action to AI Dungeon
+ * @property {function(State, string, function(string): void, ActionType=): Promise<void>} submitToAID - Submit action to AI Dungeon
  * @property {function(Config, AIDContext|null, Submission[], string|null): Promise<{result: string, debugInfo: Object|null}>} recursiveMerge - Merge submissions via LLM
  * @property {function(State): Promise<string|null>} fetchMostRecentAction - Fetch most recent action from AID
+ * @property {function(Config, AIDContext|null, string|null): Promise<{choices: string[], debugInfo: AICallDebug}>} [generateChoices] - Write options for a multiple-choice round
  */
 /**
  * Result wrapper for operations that can fail.
@@ -5,133 +5,398 @@
 /** @typedef {import('./types.js').Submission} Submission */
 /** @typedef {import('./types.js').Callbacks} Callbacks */
 /** @typedef {import('./types.js').VotingDeps} VotingDeps */
+/** @typedef {import('./types.js').ActionType} ActionType */
+/** @typedef {import('./types.js').Proposal} Proposal */
+/** @typedef {import('./types.js').PendingTie} PendingTie */
+/** @typedef {import('./types.js').Viewer} Viewer */
 import { MAX_SUBMISSION_LENGTH, MIN_VOTE_DURATION_SECONDS, DEFAULT_PARTY_MEMBER_NAME } from './constants.js';
+import { startTimer } from './timers.js';
+import { tallyVotes, getVoteCount } from './tally.js';
+import { applyBannedTerms } from './moderation.js';
+import { getRoundCandidates } from './cluster.js';
+import { breakTie } from './tiebreak.js';
+import { describeVotes, formatWeight } from './weights.js';
+import { getRoundCredits } from './points.js';
 /**
- * Adds or updates a submission from a user.
- * @param {State} state - Application state (mutated: submissions)
- * @param {string} user - Username submitting
+ * Splits a submission body into its action type and text.
+ * A body of just "continue" is a continue, a say/story prefix followed by text
+ * sets the type, and "quoted" text is say. Anything else, including "do a flip"
+ * or "continue walking", is a do action with the text kept whole.
+ * @param {string} body - Submission text after the > prefix
+ * @returns {{type: ActionType, text: string}}
+ */
+export const parseAction = (body) => {
+  if (/^continue$/i.test(body)) {
+    return { type: 'continue', text: '' };
+  }
+  const prefixMatch = body.match(/^(say|story)\b:?\s*(\S.*)$/i);
+  if (prefixMatch) {
+    const type = /** @type {ActionType} */ (prefixMatch[1].toLowerCase());
+    const text = prefixMatch[2].trim();
+    return { type, text: type === 'say' ? stripQuotes(text) : text };
+  }
+  const quoteMatch = body.match(/^["“](.+)["”]$/);
+  if (quoteMatch) {
+    return { type: 'say', text: quoteMatch[1].trim() };
+  }
+  return { type: 'do', text: body };
+};
+/**
+ * Removes one pair of surrounding quotes.
+ * @param {string} text
+ * @returns {string}
+ */
+const stripQuotes = (text) => {
+  return text.replace(/^["“](.*)["”]$/, '$1').trim();
+};
+/**
+ * Formats an action for chat the way AI Dungeon will render it.
+ * @param {string} partyName - Party member character name
+ * @param {ActionType} type - Action type
  * @param {string} text - Action text
+ * @returns {string}
+ */
+export const formatAction = (partyName, type, text) => {
+  switch (type) {
+    case 'say':
+      return `${partyName} says "${text}"`;
+    case 'story':
+      return `"${text}"`;
+    case 'continue':
+      return '(continue)';
+    default:
+      return `"${partyName} ${text}"`;
+  }
+};
+/**
+ * Groups submissions by action type and picks the group with the most (weighted) votes.
+ * Different types are never blended together (ties go to the larger group).
+ * @param {Submission[]} submissions - Non-empty list of submissions
+ * @param {Map<string, number>} weights - Lowercased voter -> vote weight
+ * @returns {{type: ActionType, group: Submission[]}}
+ */
+const pickActionGroup = (submissions, weights) => {
+  const groups = new Map();
+  for (const submission of submissions) {
+    groups.set(submission.type, [...(groups.get(submission.type) || []), submission]);
+  }
+  const totalVotes = (group) => group.reduce((sum, s) => sum + getVoteCount(s, weights), 0);
+  const [type, group] = [...groups.entries()].sort(([, a], [, b]) => {
+    return (totalVotes(b) - totalVotes(a)) || (b.length - a.length);
+  })[0];
+  return { type, group };
+};
+/**
+ * Finds a submission by its option number, choice letter, or submitter name.
+ * @param {State} state - Application state
+ * @param {string} target - Option number (e.g. "3"), choice letter (e.g. "B") or username
+ * @returns {Submission|undefined} The matching submission
+ */
+export const findSubmission = (state, target) => {
+  if (/^\d+$/.test(target)) {
+    const index = parseInt(target);
+    return state.submissions.find(s => s.index === index);
+  }
+  // Multiple-choice rounds label options A, B, C...
+  const labeled = state.submissions.find(s => s.label && s.label.toLowerCase() === target.toLowerCase());
+  if (labeled) {
+    return labeled;
+  }
+  return state.submissions.find(s => s.user.toLowerCase() === target.toLowerCase());
+};
+/**
+ * Creates a new submission with the next option number, and an implicit self-vote
+ * unless the selfVote setting is off.
+ * @param {State} state - Application state (mutated: submissions, nextSubmissionIndex)
+ * @param {Viewer} viewer - Viewer submitting
+ * @param {string} text - Action text
+ * @param {ActionType} type - Action type
+ * @returns {Submission} The new submission
+ */
+const addSubmission = (state, viewer, text, type) => {
+  const votes = new Set(state.config.selfVote ? [viewer.key] : []);
+  const submission = { index: state.nextSubmissionIndex++, user: viewer.name, viewer: viewer.key, text, type, timestamp: Date.now(), votes };
+  state.submissions.push(submission);
+  return submission;
+};
+/**
+ * Adds or updates a submission from a viewer.
+ * Edits keep the submission's option number, so votes stay attached.
+ * @param {State} state - Application state (mutated: submissions)
+ * @param {Viewer} viewer - Viewer submitting
+ * @param {string} rawText - Action text as typed in chat
  * @param {boolean} debugMode - If true, allows duplicate submissions
- * @returns {void}
+ * @param {ActionType} [type] - Action type (only continue may have empty text)
+ * @returns {{submission: Submission, isNew: boolean}|null} The accepted submission, or null if rejected
  */
-export const handleSubmission = (state, user, text, debugMode) => {
-  if (text.length === 0 || text.length > MAX_SUBMISSION_LENGTH) {
-    return;
+export const handleSubmission = (state, viewer, rawText, debugMode, type = 'do') => {
+  if ((rawText.length === 0 && type !== 'continue') || rawText.length > MAX_SUBMISSION_LENGTH) {
+    return null;
+  }
+  // Banned terms either reject the submission or mask the matches
+  const { allowed, text } = applyBannedTerms(state.config, rawText);
+  if (!allowed) {
+    return null;
   }
   // Debug mode: always create new submission (no deduplication)
   if (debugMode) {
-    const votes = new Set([user.toLowerCase()]);
-    state.submissions.push({ user, text, timestamp: Date.now(), votes });
-    console.log('[Voting] Submission from', user, ':', text.substring(0, 50));
-    return;
+    const submission = addSubmission(state, viewer, text, type);
+    console.log('[Voting] Submission #' + submission.index, 'from', viewer.name, ':', text.substring(0, 50));
+    return { submission, isNew: true };
   }
-  // Normal mode: create or update submission with implicit self-vote
-  const existing = state.submissions.find(s => s.user.toLowerCase() === user.toLowerCase());
+  // Normal mode: create or update the viewer's one submission
+  const existing = state.submissions.find(s => s.viewer === viewer.key);
   if (existing) {
+    existing.user = viewer.name;
     existing.text = text;
+    existing.type = type;
     existing.timestamp = Date.now();
-    existing.votes.add(user.toLowerCase());
-  } else {
-    const votes = new Set([user.toLowerCase()]);
-    state.submissions.push({ user, text, timestamp: Date.now(), votes });
+    if (state.config.selfVote) {
+      existing.votes.add(viewer.key);
+    }
+    console.log('[Voting] Submission #' + existing.index, 'edited by', viewer.name, ':', text.substring(0, 50));
+    return { submission: existing, isNew: false };
   }
-  console.log('[Voting] Submission from', user, ':', text.substring(0, 50));
-  return;
+  const submission = addSubmission(state, viewer, text, type);
+  console.log('[Voting] Submission #' + submission.index, 'from', viewer.name, ':', text.substring(0, 50));
+  return { submission, isNew: true };
 };
 /**
- * Records a vote for a user's submission.
- * @param {State} state - Application state (mutated: submissions)
- * @param {string} voter - Username voting
- * @param {string} targetUser - Username whose submission to vote for
+ * Records a vote for a submission.
+ * Each viewer has one vote per round (besides their implicit self-vote): voting
+ * again moves it. Approval mode is the exception, where every vote is an approval.
+ * Viewers can't vote for their own submission.
+ * @param {State} state - Application state (mutated: submissions, voterChoices)
+ * @param {Viewer} voter - Viewer voting
+ * @param {string} target - Option number or username of the submission to vote for
  * @param {boolean} debugMode - If true, allows duplicate votes
  * @returns {void}
  */
-export const handleVote = (state, voter, targetUser, debugMode) => {
-  const submission = state.submissions.find(s => s.user.toLowerCase() === targetUser.toLowerCase());
+export const handleVote = (state, voter, target, debugMode) => {
+  const submission = findSubmission(state, target);
   if (!submission) {
     return;
   }
-  const alreadyVoted = submission.votes.has(voter.toLowerCase());
+  const key = voter.key;
+  if (!debugMode && submission.viewer === key) {
+    console.log('[Voting] Self-vote from', voter.name, 'rejected');
+    return;
+  }
+  if (!debugMode && state.config.tallyMode !== 'approval') {
+    const previousIndex = state.voterChoices.get(key);
+    const previous = state.submissions.find(s => s.index === previousIndex);
+    if (previous && previous !== submission) {
+      previous.votes.delete(key);
+      console.log('[Voting] Vote from', voter.name, 'moved from #' + previous.index);
+    }
+    state.voterChoices.set(key, submission.index);
+  }
+  const alreadyVoted = submission.votes.has(key);
   if (debugMode || !alreadyVoted) {
-    submission.votes.add(voter.toLowerCase());
+    submission.votes.add(key);
     // In debug mode, increment a counter instead of using Set deduplication
     if (debugMode && alreadyVoted) {
       submission.debugVoteCount = (submission.debugVoteCount || submission.votes.size) + 1;
     }
-    console.log('[Voting] Vote from', voter, 'for', targetUser);
+    console.log('[Voting] Vote from', voter.name, 'for #' + submission.index);
+  }
+  return;
+};
+/**
+ * Records a ranked ballot from !rank.
+ * In approval mode every ranked option is approved; in instant-runoff mode the
+ * ranking replaces the voter's previous one. Plurality mode ignores rankings.
+ * @param {State} state - Application state (mutated: rankings, submissions)
+ * @param {Viewer} voter - Viewer ranking
+ * @param {string[]} choices - Ranked option numbers or usernames, most preferred first
+ * @param {boolean} debugMode - If true, allows duplicate votes
+ * @returns {void}
+ */
+export const handleRanking = (state, voter, choices, debugMode) => {
+  // Resolve each choice to an option number, dropping unknown and repeated ones
+  const indices = [];
+  for (const choice of choices) {
+    const submission = findSubmission(state, choice);
+    if (submission && !indices.includes(submission.index)) {
+      indices.push(submission.index);
+    }
+  }
+  if (indices.length === 0) {
+    return;
+  }
+  if (state.config.tallyMode === 'approval') {
+    for (const index of indices) {
+      handleVote(state, voter, String(index), debugMode);
+    }
+  } else if (state.config.tallyMode === 'instant-runoff') {
+    state.rankings.set(voter.key, indices);
+    console.log('[Voting] Ranking from', voter.name, ':', indices.join(' > '));
   }
   return;
 };
 /**
- * Sets up the vote timer that ends voting after the configured duration.
+ * Fills a multiple-choice round with AI-written options and posts them to chat.
+ * @param {State} state - Application state (mutated: submissions, lastAICall, roundType)
+ * @param {Callbacks} callbacks - For broadcasting and Twitch messages
+ * @param {VotingDeps} deps - Injected dependencies
+ * @returns {Promise<boolean>} True if options were generated; false falls back to an open round
+ */
+export const generateChoiceRound = async (state, callbacks, deps) => {
+  try {
+    const mostRecentAction = await deps.fetchMostRecentAction(state);
+    const { choices, debugInfo } = await deps.generateChoices(state.config, state.context, mostRecentAction);
+    state.lastAICall = debugInfo;
+    choices.forEach((text, i) => {
+      const label = String.fromCharCode(65 + i);
+      state.submissions.push({ index: state.nextSubmissionIndex++, label, user: 'AI', viewer: null, text, type: 'do', timestamp: Date.now(), votes: new Set() });
+      callbacks.sendChatMessage(`${label}) ${text}`);
+    });
+    console.log('[Voting] Generated', choices.length, 'choices');
+    return true;
+  } catch (err) {
+    console.error('[Voting] Choice generation error:', err);
+    callbacks.sendChatMessage(`❌ Couldn't generate options: ${err.message}`);
+    state.roundType = 'open';
+    return false;
+  }
+};
+/**
+ * Sets up the vote timer that ends voting at voteEndTime (or after the configured duration).
  * @param {State} state - Application state (mutated: voteTimer)
  * @param {function(): void} onTimeout - Called when timer expires
  * @returns {void}
  */
 export const setVoteTimer = (state, onTimeout) => {
   const duration = Math.max(state.config.voteDurationSeconds, MIN_VOTE_DURATION_SECONDS);
-  state.voteTimer = setTimeout(onTimeout, duration * 1000);
+  const endTime = state.voteEndTime || Date.now() + (duration * 1000);
+  startTimer(state, 'voteTimer', endTime, onTimeout);
   return;
 };
 /**
- * Gets the vote count for a submission (handles debug mode).
- * @param {Submission} submission - The submission
- * @returns {number} Vote count
+ * Builds the proposal for a tally winner.
+ * @param {State} state - Application state
+ * @param {Submission} winner - Winning option (possibly a group of near-duplicates)
+ * @param {{votes: number, rawVotes: number, rounds: number}} count - Winner's weighted and raw count in the deciding round, and the number of counting rounds
+ * @param {string} [note] - Extra detail for the announcement, e.g. how a tie was broken
+ * @returns {Proposal}
  */
-const getVoteCount = (submission) => {
-  return submission.debugVoteCount || submission.votes.size;
+export const proposeWinner = (state, winner, count, note = '') => {
+  const partyName = state.config.partyMemberName || DEFAULT_PARTY_MEMBER_NAME;
+  const { votes, rawVotes, rounds } = count;
+  const details = [
+    `${describeVotes(rawVotes, votes)}${rounds > 1 ? ` after ${rounds} rounds` : ''}`,
+    winner.memberIndices && `${winner.memberIndices.length} similar submissions grouped`,
+    note
+  ].filter(Boolean).join(', ');
+  const labelPrefix = winner.label ? `${winner.label}) ` : '';
+  return {
+    text: winner.text,
+    type: winner.type,
+    announcement: `🏆 Winner: ${labelPrefix}${formatAction(partyName, winner.type, winner.text)} (${details})`,
+    canReblend: false,
+    credits: getRoundCredits(state, [winner], false),
+    tally: { index: winner.index, votes, rawVotes, rounds, note }
+  };
 };
 /**
- * Combines submissions and submits the result to AI Dungeon.
- * @param {State} state - Application state
+ * Picks the action for this round without submitting it: the tally winner in
+ * no-API mode and multiple-choice rounds, otherwise a blend of the most-voted type.
+ * Elimination messages are posted as they happen; the action itself is only
+ * announced when the proposal is submitted.
+ * A tie for first is settled here with the latest/earliest/random strategies; streamer
+ * picks and runoffs come back as a pending tie for index.js to carry on.
+ * A runoff that ties again falls back to the latest submission.
+ * @param {State} state - Application state (mutated: lastAICall)
  * @param {Callbacks} callbacks - For broadcasting and Twitch messages
  * @param {VotingDeps} deps - Injected dependencies
- * @returns {Promise<void>}
+ * @returns {Promise<Proposal|{tie: PendingTie}|null>} The proposal, a tie waiting on the streamer or a runoff, or null if there is nothing to submit
  */
-export const combineSubmissions = async (state, callbacks, deps) => {
+export const buildProposal = async (state, callbacks, deps) => {
   if (state.submissions.length === 0) {
     console.log('[Voting] No submissions to combine');
-    callbacks.sendTwitchMessage('❌ No submissions received.');
-    return;
+    callbacks.sendChatMessage('❌ No submissions received.');
+    return null;
   }
+  const partyName = state.config.partyMemberName || DEFAULT_PARTY_MEMBER_NAME;
   const hasApiKey = !!state.config.openRouterApiKey;
-  if (!hasApiKey) {
-    // No-API mode: pick winner by vote count (tiebreak by recency)
-    const sorted = [...state.submissions].sort((a, b) => {
-      const voteDiff = getVoteCount(b) - getVoteCount(a);
-      if (voteDiff !== 0) {
-        return voteDiff;
+  if (!hasApiKey || state.roundType === 'choices') {
+    // No-API mode and multiple-choice rounds: pick winner using the configured tally mode
+    const result = tallyVotes(state, (eliminated, count, round) => {
+      console.log('[Voting] Runoff round', round, '- eliminated:', eliminated.text, 'with', count, 'votes');
+      callbacks.sendChatMessage(`🗳️ Round ${round}: ${formatAction(partyName, eliminated.type, eliminated.text)} eliminated (${formatWeight(count)} vote${count === 1 ? '' : 's'})`);
+    }, getRoundCandidates(state));
+    const { winner, votes: winnerVotes, rounds, tied } = result;
+    if (tied.length > 0) {
+      const strategy = state.isRunoff ? 'latest' : state.config.tieBreak;
+      if (strategy === 'streamer' || strategy === 'runoff') {
+        console.log('[Voting] Tie between', tied.length, 'options, waiting on', strategy);
+        const rawVotes = tied.map(result.rawCount);
+        return { tie: { strategy, indices: tied.map(s => s.index), votes: winnerVotes, rawVotes, rounds, endTime: null } };
       }
-      return b.timestamp - a.timestamp;
-    });
-    const winner = sorted[0];
-    const winnerVotes = getVoteCount(winner);
-    console.log('[Voting] No API key - winner:', winner.text, 'with', winnerVotes, 'votes');
-    callbacks.sendTwitchMessage(`🏆 Winner: "${winner.text}" (${winnerVotes} vote${winnerVotes === 1 ? '' : 's'})`);
-    try {
-      await deps.submitToAID(state, winner.text, callbacks.sendTwitchMessage);
-    } catch (err) {
-      console.error('[Voting] AID submit error:', err);
-      callbacks.sendTwitchMessage(`❌ Error: ${err.message}`);
+      const settled = breakTie(strategy, tied);
+      return proposeWinner(state, settled.winner, { votes: winnerVotes, rawVotes: result.rawCount(settled.winner), rounds }, settled.note);
     }
-    return;
+    console.log('[Voting] No API key - winner:', winner.type, winner.text, 'with', winnerVotes, 'votes');
+    return proposeWinner(state, winner, result);
   }
-  // API mode: blend all submissions using recursive merge
+  // API mode: blend the most-voted action type using recursive merge
   try {
+    const { type, group } = pickActionGroup(getRoundCandidates(state), state.voterWeights);
+    if (type === 'continue') {
+      // Nothing to blend, let the AI continue the story
+      console.log('[Voting] Chat chose continue');
+      return { text: '', type, announcement: '⏩ Chat chose to let the story continue', canReblend: false, credits: getRoundCredits(state, group, true) };
+    }
     // Fetch the most recent action right before prompting
     const mostRecentAction = await deps.fetchMostRecentAction(state);
-    const { result: combined, debugInfo } = await deps.recursiveMerge(state.config, state.context, state.submissions, mostRecentAction);
+    const { result: combined, debugInfo } = await deps.recursiveMerge(state.config, state.context, group, mostRecentAction);
     // Store debug info for the popup
     if (debugInfo) {
       state.lastAICall = debugInfo;
     }
-    console.log('[Voting] Combined result:', combined);
-    const label = state.submissions.length === 1 ? 'Action' : 'Combined';
-    const partyName = state.config.partyMemberName || DEFAULT_PARTY_MEMBER_NAME;
-    callbacks.sendTwitchMessage(`✨ ${label}: "${partyName} ${combined}"`);
-    await deps.submitToAID(state, combined, callbacks.sendTwitchMessage);
+    console.log('[Voting] Combined', type, 'result:', combined);
+    const label = group.length === 1 ? 'Action' : 'Combined';
+    const grouped = group.reduce((sum, s) => sum + (s.memberIndices?.length || 1), 0);
+    const groupNote = grouped > group.length ? ` (${grouped} submissions in ${group.length} group${group.length === 1 ? '' : 's'})` : '';
+    const credits = getRoundCredits(state, group, group.length > 1);
+    return { text: combined, type, announcement: `✨ ${label}: ${formatAction(partyName, type, combined)}${groupNote}`, canReblend: true, credits };
   } catch (err) {
     console.error('[Voting] Combine error:', err);
-    callbacks.sendTwitchMessage(`❌ Error: ${err.message}`);
+    callbacks.sendChatMessage(`❌ Error: ${err.message}`);
+    return null;
+  }
+};
+/**
+ * Announces a proposal in chat and submits it to AI Dungeon.
+ * @param {State} state - Application state
+ * @param {Proposal} proposal - Action to submit
+ * @param {Callbacks} callbacks - For broadcasting and Twitch messages
+ * @param {VotingDeps} deps - Injected dependencies
+ * @returns {Promise<{success: boolean, error?: string}>} Whether AI Dungeon accepted the action
+ */
+export const submitProposal = async (state, proposal, callbacks, deps) => {
+  callbacks.sendChatMessage(proposal.announcement);
+  try {
+    await deps.submitToAID(state, proposal.text, callbacks.sendChatMessage, proposal.type);
+    return { success: true };
+  } catch (err) {
+    console.error('[Voting] AID submit error:', err);
+    callbacks.sendChatMessage(`❌ Error: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+};
+/**
+ * Applies the streamer's review edit to a proposal. Continue proposals have no text to edit.
+ * @param {State} state - Application state
+ * @param {Proposal} proposal - Proposal under review
+ * @param {string} text - Text from the review box
+ * @returns {Proposal} The proposal, announced as edited if the text changed
+ */
+export const editProposal = (state, proposal, text) => {
+  const edited = text.trim();
+  if (proposal.type === 'continue' || edited === proposal.text) {
+    return proposal;
   }
+  const partyName = state.config.partyMemberName || DEFAULT_PARTY_MEMBER_NAME;
+  return { ...proposal, text: edited, announcement: `✏️ Edited by the streamer: ${formatAction(partyName, proposal.type, edited)}` };
 };
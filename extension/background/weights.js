@@ -0,0 +1,89 @@
+// Audience Multiplayer - Vote Weights Module
+// Per-viewer vote weights from chat roles, and bits or Super Chats sent during a vote
+/** @typedef {import('./types.js').State} State */
+/** @typedef {import('./types.js').Config} Config */
+/** @typedef {import('./types.js').ChatMessage} ChatMessage */
+import { getPerkWeight } from './points.js';
+import { getViewer } from './chat.js';
+/**
+ * Gets the weight of a viewer's roles: the highest weight among the roles they have, or 1.
+ * @param {Config} config - User configuration
+ * @param {ChatMessage} message - Normalized chat message with roles
+ * @returns {number}
+ */
+export const getRoleWeight = (config, message) => {
+  const weights = [
+    message.roles.subscriber && config.subscriberVoteWeight,
+    message.roles.vip && config.vipVoteWeight,
+    message.roles.founder && config.founderVoteWeight
+  ].filter(w => typeof w === 'number' && w > 0);
+  return weights.length > 0 ? Math.max(...weights) : 1;
+};
+/**
+ * Gets the colour tier of a Super Chat or Super Sticker, from 1 (blue) to 7 (red).
+ * Memberships and Super Chats whose tier couldn't be read count as 0.
+ * @param {import('./types.js').PaidMessage|null} paid - Paid details of a chat message
+ * @returns {number}
+ */
+export const getPaidTier = (paid) => {
+  if (paid?.kind !== 'superchat' && paid?.kind !== 'supersticker') {
+    return 0;
+  }
+  const tier = Number(paid.tier);
+  return Number.isFinite(tier) && tier > 0 ? tier : 0;
+};
+/**
+ * Records a viewer's vote weight for the current round from their latest chat message.
+ * Bits cheered during the vote add bits / bitsPerVote on top of the role weight, and
+ * Super Chats and Super Stickers add their tier * superChatVotesPerTier.
+ * Tiers are used rather than amounts, which are in the viewer's own currency.
+ * Viewers past the points perk threshold get at least the perk weight.
+ * Viewers whose weight is 1 are left out of the map.
+ * @param {State} state - Application state (mutated: voterWeights, roundBits, roundPaid)
+ * @param {ChatMessage} message - Normalized chat message
+ * @returns {void}
+ */
+export const recordVoterWeight = (state, message) => {
+  const viewer = getViewer(message);
+  const key = viewer.key;
+  if (message.bits > 0) {
+    state.roundBits.set(key, (state.roundBits.get(key) || 0) + message.bits);
+    console.log('[Weights]', message.user, 'cheered', message.bits, 'bits');
+  }
+  const tier = getPaidTier(message.paid);
+  if (tier > 0) {
+    state.roundPaid.set(key, (state.roundPaid.get(key) || 0) + tier);
+    console.log('[Weights]', message.user, 'sent a tier', tier, message.paid.kind, '(' + message.paid.amountText + ')');
+  } else if (message.paid?.amount > 0) {
+    console.warn('[Weights] Unknown tier for', message.paid.kind, 'from', message.user, '(' + message.paid.amountText + '), not weighted');
+  }
+  const bits = state.roundBits.get(key) || 0;
+  const paid = state.roundPaid.get(key) || 0;
+  const bonus = (state.config.bitsPerVote > 0 ? bits / state.config.bitsPerVote : 0)
+    + paid * state.config.superChatVotesPerTier;
+  const weight = Math.max(getRoleWeight(state.config, message) + bonus, getPerkWeight(state, viewer));
+  if (weight === 1) {
+    state.voterWeights.delete(key);
+  } else {
+    state.voterWeights.set(key, weight);
+  }
+  return;
+};
+/**
+ * Formats a weighted count for chat and the popup (at most one decimal).
+ * @param {number} count - Weighted count
+ * @returns {string}
+ */
+export const formatWeight = (count) => {
+  return String(Math.round(count * 10) / 10);
+};
+/**
+ * Describes a vote count, adding the weighted total when weights changed it.
+ * @param {number} rawVotes - Number of voters
+ * @param {number} weightedVotes - Weighted total
+ * @returns {string} e.g. '3 votes' or '3 votes, 5.5 weighted'
+ */
+export const describeVotes = (rawVotes, weightedVotes) => {
+  const raw = `${rawVotes} vote${rawVotes === 1 ? '' : 's'}`;
+  return rawVotes === weightedVotes ? raw : `${raw}, ${formatWeight(weightedVotes)} weighted`;
+};
@@ -0,0 +1,729 @@
+// Audience Multiplayer - YouTube Module
+// YouTube Live chat source: polls the Data API when a key is set, otherwise reads the live chat tab.
+// Announcements are queued and typed into the live chat tab, or inserted through the API with an OAuth token
+/** @typedef {import('./types.js').State} State */
+/** @typedef {import('./types.js').ChatMessage} ChatMessage */
+/** @typedef {import('./types.js').ChatSource} ChatSource */
+/** @typedef {import('./types.js').YouTubeApiPoll} YouTubeApiPoll */
+/** @typedef {import('./types.js').PaidMessage} PaidMessage */
+import {
+  YOUTUBE_API_URL,
+  YOUTUBE_MIN_POLL_MS,
+  YOUTUBE_POLL_RETRY_MS,
+  YOUTUBE_POLL_BACKOFF_MAX_MS,
+  YOUTUBE_QUOTA_RETRIES,
+  YOUTUBE_SEND_INTERVAL_MS,
+  YOUTUBE_SEND_QUEUE_MAX,
+  YOUTUBE_MAX_MESSAGE_LENGTH,
+  YOUTUBE_ECHO_WINDOW_MS,
+  SUPER_CHAT_TIER_COLORS,
+  SUPER_CHAT_COLOR_TOLERANCE
+} from './constants.js';
+import { createChatMessage } from './chat.js';
+import { setYouTubeConnected, setYouTubeDisconnected, setYouTubeError } from './state.js';
+export class YouTubeApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {string|null} [reason] - Google error reason, e.g. 'liveChatEnded' or 'quotaExceeded'
+   * @param {number} [status] - HTTP status (0 for network errors)
+   */
+  constructor(message, reason = null, status = 0) {
+    super(message);
+    this.name = 'YouTubeApiError';
+    this.reason = reason;
+    this.status = status;
+  }
+}
+export class YouTubeSendError extends Error {
+  /**
+   * @param {string} message
+   * @param {boolean} [retry] - The message can be posted later (the streamer is typing in the chat input)
+   */
+  constructor(message, retry = false) {
+    super(message);
+    this.name = 'YouTubeSendError';
+    this.retry = retry;
+  }
+}
+/** Google error reasons for quota and rate limits, which are retried with backoff before giving up */
+const QUOTA_REASONS = ['quotaExceeded', 'rateLimitExceeded', 'userRateLimitExceeded'];
+/** Content script message types this module handles */
+const CONTENT_MESSAGE_TYPES = ['YOUTUBE_CHAT_MESSAGE', 'YOUTUBE_CONNECTED', 'YOUTUBE_DISCONNECTED', 'YOUTUBE_DOM_ERROR'];
+/** Handlers from connect, or null while disconnected (chat from either mode is ignored) */
+let listeners = null;
+/** Announcements waiting to be posted, oldest first */
+let sendQueue = [];
+/** Timer for the next post; null when nothing was posted within the last interval */
+let sendTimer = null;
+/** Recently posted messages, so the posting account doesn't read its own posts back as chat */
+let recentPosts = [];
+/** Account our posts appear under, learned from each post; null until the first one succeeds */
+let postingAuthor = null;
+/**
+ * Strips the leading @ YouTube puts on handles.
+ * @param {string} name - Display name or handle
+ * @returns {string}
+ */
+const stripAt = (name) => name.startsWith('@') ? name.slice(1) : name;
+/**
+ * Reduces text to lowercase letters and digits, so a post matches its echo
+ * however the chat renders emoji and punctuation.
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+const echoKey = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+/**
+ * Checks whether a message was sent by the account we post as: by channel id
+ * when the API told us it, otherwise by name. Before the first post succeeds
+ * the account isn't known, and only the broadcaster is taken as the poster.
+ * @param {ChatMessage} message - Normalized chat message
+ * @returns {boolean}
+ */
+const isPostingAuthor = (message) => {
+  if (postingAuthor?.channelId && message.raw?.authorDetails) {
+    return message.userId === postingAuthor.channelId;
+  }
+  if (postingAuthor?.name) {
+    return stripAt(message.user).toLowerCase() === stripAt(postingAuthor.name).toLowerCase();
+  }
+  return message.roles.broadcaster;
+};
+/**
+ * Checks whether a message is one of our own posts coming back through chat,
+ * and forgets the post if so (each post echoes once). Both the author and the
+ * text must match, so a real message with the same text isn't dropped.
+ * @param {ChatMessage} message - Normalized chat message
+ * @returns {boolean}
+ */
+const isOwnPost = (message) => {
+  if (recentPosts.length === 0 || !isPostingAuthor(message)) {
+    return false;
+  }
+  const cutoff = Date.now() - YOUTUBE_ECHO_WINDOW_MS;
+  recentPosts = recentPosts.filter(p => p.at > cutoff);
+  const key = echoKey(message.text);
+  const index = recentPosts.findIndex(p => p.key === key);
+  if (index === -1) {
+    return false;
+  }
+  recentPosts.splice(index, 1);
+  return true;
+};
+/**
+ * Passes a message to the chat handler unless it's our own post echoed back.
+ * @param {ChatMessage} message - Normalized chat message
+ * @returns {void}
+ */
+const deliverMessage = (message) => {
+  if (isOwnPost(message)) {
+    return;
+  }
+  listeners?.onMessage(message);
+  return;
+};
+/**
+ * Reads a displayed amount like '$5.00', '€1.234,56' or '¥500'. The last '.' or ','
+ * is the decimal separator when two or fewer digits follow it.
+ * @param {string} amountText - Amount as shown in chat
+ * @returns {{amount: number, currency: string|null}}
+ */
+export const parseAmountText = (amountText) => {
+  const digits = amountText.replace(/[^\d.,]/g, '');
+  const currency = amountText.replace(/[\d.,\s]/g, '') || null;
+  const separator = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+  const hasDecimals = separator !== -1 && digits.length - separator - 1 <= 2;
+  const whole = (hasDecimals ? digits.slice(0, separator) : digits).replace(/[.,]/g, '');
+  const fraction = hasDecimals ? digits.slice(separator + 1) : '';
+  const amount = parseFloat(`${whole || '0'}.${fraction || '0'}`);
+  return { amount: Number.isFinite(amount) ? amount : 0, currency };
+};
+/**
+ * Finds the Super Chat tier of a colour from the live chat tab, matching the
+ * closest known tier colour.
+ * @param {string|null|undefined} color - CSS colour, e.g. 'rgba(30,136,229,1)' or '#1e88e5'
+ * @returns {string|null} Tier '1' to '7', or null if the colour isn't a tier colour
+ */
+const getColorTier = (color) => {
+  const value = color?.trim() || '';
+  const hex = value.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})/i);
+  const rgb = hex
+    ? hex.slice(1, 4).map(h => parseInt(h, 16))
+    : value.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i)?.slice(1, 4).map(Number);
+  if (!rgb) {
+    return null;
+  }
+  let best = null;
+  for (const { tier, rgb: known } of SUPER_CHAT_TIER_COLORS) {
+    const distance = Math.hypot(...known.map((c, i) => c - rgb[i]));
+    if (distance <= SUPER_CHAT_COLOR_TOLERANCE && (!best || distance < best.distance)) {
+      best = { tier, distance };
+    }
+  }
+  return best ? String(best.tier) : null;
+};
+/**
+ * Normalizes the paid details the content script read from a Super Chat,
+ * Super Sticker or membership item. Super Chat tiers come from their colour.
+ * @param {{kind: string, amountText?: string, color?: string, tier?: string}|undefined} paid - From YOUTUBE_CHAT_MESSAGE
+ * @returns {PaidMessage|null}
+ */
+const parseDomPaid = (paid) => {
+  if (!paid?.kind) {
+    return null;
+  }
+  const amountText = paid.amountText || '';
+  const tier = paid.kind === 'superchat' || paid.kind === 'supersticker' ? getColorTier(paid.color) : paid.tier;
+  return { kind: paid.kind, ...parseAmountText(amountText), amountText, tier: tier || null };
+};
+/**
+ * Normalizes a chat message forwarded by the content script. Author types map to
+ * the same roles as Twitch badges: owner is the broadcaster and members are subscribers.
+ * The DOM doesn't expose channel ids, so the user id is the lowercased name.
+ * @param {{user: string, text: string, authorTypes?: string[], paid?: Object}} payload - YOUTUBE_CHAT_MESSAGE from the content script
+ * @returns {ChatMessage}
+ */
+export const parseYouTubeMessage = (payload) => {
+  const types = Array.isArray(payload.authorTypes) ? payload.authorTypes : [];
+  return createChatMessage({
+    platform: 'youtube',
+    user: payload.user,
+    text: payload.text || '',
+    roles: {
+      broadcaster: types.includes('owner'),
+      moderator: types.includes('moderator'),
+      subscriber: types.includes('member'),
+      verified: types.includes('verified')
+    },
+    paid: parseDomPaid(payload.paid),
+    raw: payload
+  });
+};
+/**
+ * Reads the text and paid details of a liveChatMessage snippet. Super Chats and
+ * membership milestones carry the viewer's comment; stickers and new members have none.
+ * @param {Object} snippet - liveChatMessage snippet
+ * @returns {{text: string, paid: PaidMessage|null}|null} Null for event types that aren't chat
+ */
+const readApiSnippet = (snippet) => {
+  const paidAmount = (details) => ({
+    amount: Number(details.amountMicros || 0) / 1e6,
+    currency: details.currency || null,
+    amountText: details.amountDisplayString || '',
+    tier: details.tier ? String(details.tier) : null
+  });
+  switch (snippet?.type) {
+    case 'textMessageEvent':
+      return { text: snippet.textMessageDetails?.messageText ?? snippet.displayMessage ?? '', paid: null };
+    case 'superChatEvent':
+      return { text: snippet.superChatDetails?.userComment || '', paid: { kind: 'superchat', ...paidAmount(snippet.superChatDetails || {}) } };
+    case 'superStickerEvent':
+      return { text: '', paid: { kind: 'supersticker', ...paidAmount(snippet.superStickerDetails || {}) } };
+    case 'newSponsorEvent':
+      return { text: '', paid: { kind: 'membership', amount: 0, currency: null, amountText: '', tier: snippet.newSponsorDetails?.memberLevelName || null } };
+    case 'memberMilestoneChatEvent':
+      return {
+        text: snippet.memberMilestoneChatDetails?.userComment || '',
+        paid: { kind: 'milestone', amount: 0, currency: null, amountText: '', tier: snippet.memberMilestoneChatDetails?.memberLevelName || null }
+      };
+    default:
+      return null;
+  }
+};
+/**
+ * Normalizes a liveChatMessages.list item: text messages, Super Chats, Super
+ * Stickers, new members and membership milestones.
+ * @param {Object} item - liveChatMessage resource with snippet and authorDetails
+ * @returns {ChatMessage|null} Parsed message, or null for other event types and empty text
+ */
+export const parseYouTubeApiMessage = (item) => {
+  const { snippet, authorDetails: author } = item;
+  const content = readApiSnippet(snippet);
+  if (!content || !author?.displayName) {
+    return null;
+  }
+  const text = content.text.trim();
+  if (!text && !content.paid) {
+    return null;
+  }
+  return createChatMessage({
+    platform: 'youtube',
+    userId: author.channelId,
+    user: stripAt(author.displayName),
+    text,
+    roles: {
+      broadcaster: !!author.isChatOwner,
+      moderator: !!author.isChatModerator,
+      subscriber: !!author.isChatSponsor,
+      verified: !!author.isVerified
+    },
+    paid: content.paid,
+    raw: item
+  });
+};
+/**
+ * Reads what a YouTube URL points at: a video (watch, live, youtu.be, shorts links)
+ * or a channel (/channel/UC..., /@handle), whose current livestream is looked up.
+ * @param {string} url - Configured youtubeUrl
+ * @returns {{videoId?: string, channelId?: string, handle?: string}|null} Null if not a YouTube URL
+ */
+export const parseYouTubeUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (err) {
+    return null;
+  }
+  const host = parsed.hostname.replace(/^(www|m)\./, '');
+  const parts = parsed.pathname.split('/').filter(Boolean);
+  if (host === 'youtu.be' && parts[0]) {
+    return { videoId: parts[0] };
+  }
+  if (host !== 'youtube.com') {
+    return null;
+  }
+  if (parsed.searchParams.get('v')) {
+    return { videoId: parsed.searchParams.get('v') };
+  }
+  if (['live', 'shorts', 'embed'].includes(parts[0]) && parts[1]) {
+    return { videoId: parts[1] };
+  }
+  if (parts[0] === 'channel' && parts[1]) {
+    return { channelId: parts[1] };
+  }
+  if (parts[0]?.startsWith('@')) {
+    return { handle: parts[0] };
+  }
+  return null;
+};
+/**
+ * Checks whether the credential is an OAuth access token rather than an API key.
+ * Only a token can post to chat.
+ * @param {string} credential - Configured youtubeApiKey
+ * @returns {boolean}
+ */
+const isOAuthToken = (credential) => credential.startsWith('ya29.');
+/**
+ * Calls a YouTube Data API endpoint. OAuth access tokens (ya29...) go in the
+ * Authorization header; anything else is sent as an API key.
+ * @param {State} state - Application state
+ * @param {string} path - Endpoint under /youtube/v3, e.g. 'videos'
+ * @param {Object<string, string|number>} params - Query parameters
+ * @param {Object|null} [body] - JSON body; the request is a POST when given
+ * @throws {YouTubeApiError} If the request fails or returns an error
+ * @returns {Promise<Object>} Response body
+ */
+const youtubeApiFetch = async (state, path, params, body = null) => {
+  const credential = state.config.youtubeApiKey;
+  const url = new URL(`${YOUTUBE_API_URL}/${path}`);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== null && value !== undefined) {
+      url.searchParams.set(key, String(value));
+    }
+  }
+  const headers = {};
+  if (isOAuthToken(credential)) {
+    headers.Authorization = `Bearer ${credential}`;
+  } else {
+    url.searchParams.set('key', credential);
+  }
+  let response;
+  try {
+    response = body
+      ? await fetch(url, { method: 'POST', headers: { ...headers, 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+      : await fetch(url, { headers });
+  } catch (err) {
+    throw new YouTubeApiError(`YouTube API unreachable: ${err.message}`);
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = data.error?.errors?.[0]?.reason || null;
+    // Pasted access tokens are never refreshed and expire after about an hour
+    if (response.status === 401 && isOAuthToken(credential)) {
+      throw new YouTubeApiError('The OAuth access token has expired. Paste a new one in Settings', reason, response.status);
+    }
+    throw new YouTubeApiError(data.error?.message || `YouTube API error (${response.status})`, reason, response.status);
+  }
+  return data;
+};
+/**
+ * Finds the live chat id for the configured URL. Channel URLs cost an extra
+ * search call to find the channel's current livestream.
+ * @param {State} state - Application state
+ * @throws {YouTubeApiError} If the URL isn't a livestream with an active chat
+ * @returns {Promise<{videoId: string, liveChatId: string}>}
+ */
+const resolveLiveChatId = async (state) => {
+  const target = parseYouTubeUrl(state.config.youtubeUrl);
+  if (!target) {
+    throw new YouTubeApiError('YouTube URL is not a video or channel link');
+  }
+  let { videoId, channelId } = target;
+  if (target.handle) {
+    const channels = await youtubeApiFetch(state, 'channels', { part: 'id', forHandle: target.handle });
+    channelId = channels.items?.[0]?.id;
+    if (!channelId) {
+      throw new YouTubeApiError(`YouTube channel not found: ${target.handle}`);
+    }
+  }
+  if (!videoId) {
+    const search = await youtubeApiFetch(state, 'search', { part: 'id', channelId, eventType: 'live', type: 'video' });
+    videoId = search.items?.[0]?.id?.videoId;
+    if (!videoId) {
+      throw new YouTubeApiError('The channel is not live right now');
+    }
+  }
+  const videos = await youtubeApiFetch(state, 'videos', { part: 'liveStreamingDetails', id: videoId });
+  const liveChatId = videos.items?.[0]?.liveStreamingDetails?.activeLiveChatId;
+  if (!liveChatId) {
+    throw new YouTubeApiError('The video has no active live chat');
+  }
+  return { videoId, liveChatId };
+};
+/**
+ * Stops Data API polling. The live chat tab takes over if it's open.
+ * @param {State} state - Application state (mutated: youtubeApi)
+ * @returns {void}
+ */
+export const stopYouTubePolling = (state) => {
+  if (state.youtubeApi?.timer) {
+    clearTimeout(state.youtubeApi.timer);
+  }
+  state.youtubeApi = null;
+  return;
+};
+/**
+ * Gives up on the Data API for this connection and falls back to the live chat tab.
+ * @param {State} state - Application state (mutated: youtubeApi, youtubeApiError)
+ * @param {Error} err - Why polling stopped
+ * @returns {void}
+ */
+const failPolling = (state, err) => {
+  console.error('[YouTube] Data API failed, falling back to the live chat tab:', err.message);
+  stopYouTubePolling(state);
+  state.youtubeApiError = err.message;
+  listeners?.onStatusChange();
+  return;
+};
+/**
+ * Fetches one page of chat and schedules the next poll after the interval the API
+ * asks for, or YOUTUBE_MIN_POLL_MS if that is longer. The first page is the chat's
+ * backlog and is skipped, so old commands aren't replayed. Network, server and
+ * quota errors are retried with a doubling delay; quota errors give up after
+ * YOUTUBE_QUOTA_RETRIES tries in a row, and anything else (chat ended, bad key)
+ * stops polling.
+ * @param {State} state - Application state (mutated: youtubeApi)
+ * @param {YouTubeApiPoll} poll - Poll started by startYouTubePolling
+ * @returns {Promise<void>}
+ */
+const pollLiveChat = async (state, poll) => {
+  let delay;
+  try {
+    const data = await youtubeApiFetch(state, 'liveChat/messages', {
+      liveChatId: poll.liveChatId,
+      part: 'snippet,authorDetails',
+      maxResults: 2000,
+      pageToken: poll.pageToken
+    });
+    if (state.youtubeApi !== poll) {
+      return;
+    }
+    if (data.offlineAt) {
+      failPolling(state, new YouTubeApiError('The livestream has ended', 'liveChatEnded'));
+      return;
+    }
+    if (poll.connected) {
+      for (const item of data.items || []) {
+        const message = parseYouTubeApiMessage(item);
+        if (message) {
+          deliverMessage(message);
+        }
+      }
+    }
+    poll.pageToken = data.nextPageToken || poll.pageToken;
+    if (!poll.connected) {
+      poll.connected = true;
+      console.log('[YouTube] Reading chat through the Data API');
+      listeners?.onStatusChange();
+    }
+    poll.failures = 0;
+    delay = Math.max(data.pollingIntervalMillis || 0, YOUTUBE_MIN_POLL_MS);
+  } catch (err) {
+    if (state.youtubeApi !== poll) {
+      return;
+    }
+    const quota = QUOTA_REASONS.includes(err.reason);
+    poll.failures += 1;
+    if ((!quota && err.status !== 0 && err.status < 500) || (quota && poll.failures > YOUTUBE_QUOTA_RETRIES)) {
+      failPolling(state, err);
+      return;
+    }
+    delay = Math.min(YOUTUBE_POLL_RETRY_MS * 2 ** (poll.failures - 1), YOUTUBE_POLL_BACKOFF_MAX_MS);
+    console.log(`[YouTube] Poll failed, retrying in ${Math.round(delay / 1000)}s:`, err.message);
+  }
+  poll.timer = setTimeout(() => pollLiveChat(state, poll), delay);
+  return;
+};
+/**
+ * Starts reading chat through the Data API: resolves the live chat id, then polls.
+ * @param {State} state - Application state (mutated: youtubeApi, youtubeApiError)
+ * @returns {Promise<void>}
+ */
+const startYouTubePolling = async (state) => {
+  stopYouTubePolling(state);
+  /** @type {YouTubeApiPoll} */
+  const poll = { videoId: null, liveChatId: null, pageToken: null, timer: null, connected: false, failures: 0 };
+  state.youtubeApi = poll;
+  state.youtubeApiError = null;
+  console.log('[YouTube] Finding live chat through the Data API...');
+  try {
+    const { videoId, liveChatId } = await resolveLiveChatId(state);
+    if (state.youtubeApi !== poll) {
+      return;
+    }
+    poll.videoId = videoId;
+    poll.liveChatId = liveChatId;
+    await pollLiveChat(state, poll);
+  } catch (err) {
+    if (state.youtubeApi === poll) {
+      failPolling(state, err);
+    }
+  }
+  return;
+};
+/**
+ * Which way YouTube chat is being read.
+ * @param {State} state - Application state
+ * @returns {'api'|'dom'} Data API polling, or the live chat tab
+ */
+export const getYouTubeMode = (state) => {
+  return state.youtubeApi ? 'api' : 'dom';
+};
+/**
+ * Posts a message through liveChatMessages.insert. Needs an OAuth token with
+ * the youtube.force-ssl scope for the channel (or a moderator of it).
+ * @param {State} state - Application state
+ * @param {string} text - Message to post
+ * @throws {YouTubeApiError} If the insert fails
+ * @returns {Promise<{channelId: string|null, name: string|null}>} Account the message was posted as
+ */
+const postThroughApi = async (state, text) => {
+  const inserted = await youtubeApiFetch(state, 'liveChat/messages', { part: 'snippet' }, {
+    snippet: {
+      liveChatId: state.youtubeApi.liveChatId,
+      type: 'textMessageEvent',
+      textMessageDetails: { messageText: text }
+    }
+  });
+  return { channelId: inserted.snippet?.authorChannelId || null, name: null };
+};
+/**
+ * Asks the content script in the live chat tab to type and send a message.
+ * @param {State} state - Application state
+ * @param {string} text - Message to post
+ * @throws {YouTubeSendError} If the tab is gone or can't post (not logged in, chat disabled, the streamer is typing)
+ * @returns {Promise<{channelId: string|null, name: string|null}>} Account the message was posted as
+ */
+const postThroughTab = async (state, text) => {
+  const tab = state.youtubeTab;
+  if (!tab) {
+    throw new YouTubeSendError('Open the live chat tab to post to YouTube chat');
+  }
+  let response;
+  try {
+    response = await chrome.tabs.sendMessage(tab.tabId, { type: 'YOUTUBE_SEND_MESSAGE', text }, { frameId: tab.frameId });
+  } catch (err) {
+    throw new YouTubeSendError(`Live chat tab not responding: ${err.message}`);
+  }
+  if (!response?.ok) {
+    throw new YouTubeSendError(response?.error || 'Live chat tab could not post the message', !!response?.busy);
+  }
+  return { channelId: null, name: response.author || null };
+};
+/**
+ * Posts the oldest queued message, then waits out the send interval before the
+ * next one. Through the API when polling with an OAuth token, otherwise through
+ * the live chat tab. Failures are logged and shown in the status; the message is
+ * dropped, unless the streamer is typing in the chat input, when it's tried again later.
+ * An expired OAuth token stops the Data API, and the message goes out through the tab instead.
+ * @param {State} state - Application state (mutated: youtubeSendError, youtubeApi, youtubeApiError)
+ * @returns {Promise<void>}
+ */
+const drainSendQueue = async (state) => {
+  const text = sendQueue.shift();
+  if (text === undefined) {
+    sendTimer = null;
+    return;
+  }
+  // Recorded before posting: with the API, the echo can arrive before the insert returns
+  const post = { key: echoKey(text), at: Date.now() };
+  recentPosts.push(post);
+  const previousError = state.youtubeSendError;
+  try {
+    const author = state.youtubeApi?.liveChatId && isOAuthToken(state.config.youtubeApiKey)
+      ? await postThroughApi(state, text)
+      : await postThroughTab(state, text);
+    if (author.channelId || author.name) {
+      postingAuthor = author;
+    }
+    state.youtubeSendError = null;
+  } catch (err) {
+    console.error('[YouTube] Could not post to chat:', err.message);
+    state.youtubeSendError = err.message;
+    recentPosts = recentPosts.filter(p => p !== post);
+    if (err.status === 401 && state.youtubeApi) {
+      failPolling(state, err);
+      sendQueue.unshift(text);
+    } else if (err.retry) {
+      sendQueue.unshift(text);
+    }
+  }
+  if (state.youtubeSendError !== previousError) {
+    listeners?.onStatusChange();
+  }
+  sendTimer = setTimeout(() => drainSendQueue(state), YOUTUBE_SEND_INTERVAL_MS);
+  return;
+};
+/**
+ * Queues an announcement for YouTube chat if posting is turned on. Messages
+ * longer than YouTube allows are shortened, and when the queue is full the
+ * oldest message is dropped so announcements don't lag behind the round.
+ * @param {State} state - Application state
+ * @param {string} text - Message to post
+ * @returns {void}
+ */
+export const sendYouTubeMessage = (state, text) => {
+  if (!state.config.youtubePostMessages) {
+    return;
+  }
+  const message = text.length > YOUTUBE_MAX_MESSAGE_LENGTH
+    ? text.slice(0, YOUTUBE_MAX_MESSAGE_LENGTH - 1) + '…'
+    : text;
+  sendQueue.push(message);
+  if (sendQueue.length > YOUTUBE_SEND_QUEUE_MAX) {
+    console.warn('[YouTube] Send queue full, dropping:', sendQueue.shift());
+  }
+  if (!sendTimer) {
+    sendTimer = setTimeout(() => drainSendQueue(state), 0);
+  }
+  return;
+};
+/**
+ * Drops queued announcements, e.g. when YouTube is disconnected.
+ * @returns {void}
+ */
+const clearSendQueue = () => {
+  clearTimeout(sendTimer);
+  sendTimer = null;
+  sendQueue = [];
+  recentPosts = [];
+  postingAuthor = null;
+  return;
+};
+/**
+ * Checks whether a runtime message came from the YouTube content script.
+ * @param {Object} message - Runtime message
+ * @returns {boolean}
+ */
+export const isYouTubeContentMessage = (message) => {
+  return CONTENT_MESSAGE_TYPES.includes(message?.type);
+};
+/**
+ * Handles a message from the YouTube content script: chat goes to the message
+ * handler, connection events update the source status. Chat and DOM errors are
+ * ignored unless a YouTube URL is configured, and chat is ignored while the
+ * Data API is being polled so nothing is counted twice.
+ * @param {State} state - Application state (mutated: youtubeConnected, youtubeVideoId, youtubeTab, youtubeError)
+ * @param {Object} message - Runtime message from the content script
+ * @param {chrome.runtime.MessageSender} sender - The live chat frame, remembered for posting
+ * @returns {void}
+ */
+export const handleYouTubeContentMessage = (state, message, sender) => {
+  if (!listeners) {
+    return;
+  }
+  switch (message.type) {
+    case 'YOUTUBE_CHAT_MESSAGE':
+      if (state.config.youtubeUrl && getYouTubeMode(state) === 'dom') {
+        deliverMessage(parseYouTubeMessage(message));
+      }
+      return;
+    case 'YOUTUBE_CONNECTED':
+      setYouTubeConnected(state, message.videoId, sender?.tab ? { tabId: sender.tab.id, frameId: sender.frameId } : null);
+      break;
+    case 'YOUTUBE_DISCONNECTED':
+      setYouTubeDisconnected(state);
+      break;
+    case 'YOUTUBE_DOM_ERROR':
+      if (!state.config.youtubeUrl) {
+        return;
+      }
+      setYouTubeError(state, message.details);
+      break;
+  }
+  listeners.onStatusChange();
+  return;
+};
+/**
+ * Stops reading YouTube chat in both modes and drops queued announcements.
+ * @param {State} state - Application state (mutated: youtubeApi, youtubeConnected, youtubeVideoId, youtubeSendError)
+ * @returns {void}
+ */
+export const disconnectYouTube = (state) => {
+  listeners = null;
+  clearSendQueue();
+  state.youtubeSendError = null;
+  stopYouTubePolling(state);
+  setYouTubeDisconnected(state);
+  return;
+};
+/**
+ * Describes the live chat tab's status, for the DOM mode or the Data API fallback.
+ * @param {State} state - Application state
+ * @returns {import('./types.js').ChatSourceStatus}
+ */
+const getDomStatus = (state) => {
+  const apiNote = state.youtubeApiError ? ` (Data API failed: ${state.youtubeApiError})` : '';
+  if (state.youtubeError) {
+    return { status: 'error', detail: 'Error - ' + state.youtubeError.message + apiNote };
+  }
+  if (state.youtubeConnected) {
+    return { status: 'connected', detail: 'Connected (live chat tab)' + apiNote };
+  }
+  return { status: state.youtubeApiError ? 'error' : 'disconnected', detail: 'Waiting for live chat tab' + apiNote };
+};
+/**
+ * YouTube chat source. With a Data API key it polls liveChatMessages.list;
+ * without one, or if the API fails, the content script pushes chat from the
+ * live chat tab. Announcements are posted when youtubePostMessages is on.
+ * @type {ChatSource}
+ */
+export const youtubeSource = {
+  id: 'youtube',
+  label: 'YouTube',
+  isEnabled: (state) => !!state.config.youtubeUrl,
+  connect: (state, onMessage, onStatusChange) => {
+    listeners = { onMessage, onStatusChange };
+    stopYouTubePolling(state);
+    state.youtubeApiError = null;
+    if (state.config.youtubeUrl && state.config.youtubeApiKey) {
+      startYouTubePolling(state);
+    }
+    return;
+  },
+  disconnect: disconnectYouTube,
+  getStatus: (state) => {
+    let status;
+    if (getYouTubeMode(state) === 'dom') {
+      status = getDomStatus(state);
+    } else if (state.youtubeApi.connected) {
+      status = { status: 'connected', detail: 'Connected (Data API)' };
+    } else {
+      status = { status: 'disconnected', detail: 'Finding live chat (Data API)' };
+    }
+    if (state.config.youtubePostMessages && state.youtubeSendError) {
+      status.detail += `. Posting failed: ${state.youtubeSendError}`;
+    }
+    return status;
+  },
+  send: sendYouTubeMessage
+};
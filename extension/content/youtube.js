@@ -1,14 +1,30 @@
 // Audience Multiplayer - YouTube Live Chat DOM Scraper
-// Reads chat messages from YouTube livestreams via DOM observation
+// Reads chat messages from YouTube livestreams via DOM observation, and posts announcements through the chat input
 // IMPORTANT: This script relies on YouTube's internal DOM structure
 // If YouTube changes their chat HTML, this will break and need updating
 const SELECTORS = {
   chatFrame: 'iframe#chatframe',
   messageList: '#items.yt-live-chat-item-list-renderer',
   messageItem: 'yt-live-chat-text-message-renderer',
+  paidMessageItem: 'yt-live-chat-paid-message-renderer',
+  paidStickerItem: 'yt-live-chat-paid-sticker-renderer',
+  membershipItem: 'yt-live-chat-membership-item-renderer',
+  purchaseAmount: '#purchase-amount, #purchase-amount-chip',
+  membershipHeader: '#header-primary-text',
+  membershipSubtext: '#header-subtext',
   authorName: '#author-name',
-  messageText: '#message'
+  messageText: '#message',
+  authorBadge: 'yt-live-chat-author-badge-renderer[type]',
+  chatInput: 'yt-live-chat-text-input-field-renderer #input[contenteditable]',
+  inputAuthorName: 'yt-live-chat-message-input-renderer yt-live-chat-author-chip #author-name',
+  sendButton: 'yt-live-chat-message-input-renderer #send-button button'
 };
+// CSS variables YouTube sets on paid items with their tier colour
+const PAID_COLOR_PROPERTIES = ['--yt-live-chat-paid-message-primary-color', '--yt-live-chat-paid-sticker-background-color'];
+// Every chat item forwarded to the background: text messages, Super Chats, Super Stickers and memberships
+const CHAT_ITEMS = [SELECTORS.messageItem, SELECTORS.paidMessageItem, SELECTORS.paidStickerItem, SELECTORS.membershipItem].join(', ');
+// Author types the background understands (owner and moderator may run mod commands)
+const AUTHOR_TYPES = ['owner', 'moderator', 'member', 'verified'];
 // Track which messages we've already processed (by element reference)
 const processedMessages = new WeakSet();
 let observer = null;
@@ -54,26 +70,115 @@ const reportBreakage = (missing) => {
   return;
 };
 /**
- * Extracts user and text from a chat message element.
+ * Reads the author's types from the renderer's author-type attribute and badge elements.
+ * The attribute holds only the highest type, so the badges fill in the rest (e.g. a verified member).
  * @param {Element} messageEl - The yt-live-chat-text-message-renderer element
- * @returns {{user: string, text: string}|null}
+ * @returns {string[]} Subset of AUTHOR_TYPES
+ */
+const extractAuthorTypes = (messageEl) => {
+  const types = new Set();
+  const attribute = messageEl.getAttribute('author-type');
+  if (attribute) {
+    types.add(attribute.toLowerCase());
+  }
+  for (const badge of messageEl.querySelectorAll(SELECTORS.authorBadge)) {
+    types.add(badge.getAttribute('type').toLowerCase());
+  }
+  return AUTHOR_TYPES.filter(t => types.has(t));
+};
+/**
+ * Reads the tier colour YouTube gives a Super Chat or Super Sticker, e.g. 'rgba(30,136,229,1)'.
+ * @param {Element} messageEl - A paid message or sticker element
+ * @returns {string|null}
+ */
+const extractPaidColor = (messageEl) => {
+  for (const property of PAID_COLOR_PROPERTIES) {
+    const color = messageEl.style.getPropertyValue(property).trim() || getComputedStyle(messageEl).getPropertyValue(property).trim();
+    if (color) {
+      return color;
+    }
+  }
+  return null;
+};
+/**
+ * Reads what kind of paid or membership item an element is, with its displayed
+ * amount and colour, or membership level. The background parses the amount and
+ * turns the colour into a tier.
+ * @param {Element} messageEl - A chat item element
+ * @returns {{kind: string, amountText: string, color?: string|null, tier: string|null}|null} Null for ordinary text messages
+ */
+const extractPaid = (messageEl) => {
+  const tag = messageEl.tagName.toLowerCase();
+  const amountText = messageEl.querySelector(SELECTORS.purchaseAmount)?.textContent?.trim() || '';
+  if (tag === SELECTORS.paidMessageItem) {
+    return { kind: 'superchat', amountText, color: extractPaidColor(messageEl), tier: null };
+  }
+  if (tag === SELECTORS.paidStickerItem) {
+    return { kind: 'supersticker', amountText, color: extractPaidColor(messageEl), tier: null };
+  }
+  if (tag !== SELECTORS.membershipItem) {
+    return null;
+  }
+  // Milestones have a "Member for 6 months" header and the level below it; new members only a "Welcome to <level>!" line
+  const header = messageEl.querySelector(SELECTORS.membershipHeader)?.textContent?.trim();
+  const subtext = messageEl.querySelector(SELECTORS.membershipSubtext)?.textContent?.trim() || '';
+  if (header) {
+    return { kind: 'milestone', amountText: '', tier: subtext || null };
+  }
+  return { kind: 'membership', amountText: '', tier: subtext.replace(/^Welcome to\s+/i, '').replace(/!$/, '') || null };
+};
+/**
+ * Extracts user, text, author types and paid details from a chat item element.
+ * Paid and membership items may have no text.
+ * @param {Element} messageEl - A text message, Super Chat, Super Sticker or membership element
+ * @returns {{user: string, text: string, authorTypes: string[], paid: Object|null}|null}
  */
 const extractMessage = (messageEl) => {
   const authorEl = messageEl.querySelector(SELECTORS.authorName);
-  const textEl = messageEl.querySelector(SELECTORS.messageText);
-  if (!authorEl || !textEl) {
+  if (!authorEl) {
     return null;
   }
+  const paid = extractPaid(messageEl);
   let user = authorEl.textContent?.trim();
-  const text = textEl.textContent?.trim();
-  if (!user || !text) {
+  const text = messageEl.querySelector(SELECTORS.messageText)?.textContent?.trim() || '';
+  if (!user || (!text && !paid)) {
     return null;
   }
   // Strip leading @ from YouTube usernames
   if (user.startsWith('@')) {
     user = user.slice(1);
   }
-  return { user, text };
+  return { user, text, authorTypes: extractAuthorTypes(messageEl), paid };
+};
+/**
+ * Types a message into the chat input and presses send, posting as the account
+ * logged in to this tab. insertText fires the input events YouTube listens for;
+ * setting the text directly is the fallback if the browser refuses it. If the
+ * streamer has something typed in the input, nothing is posted so their text isn't lost.
+ * @param {string} text - Message to post
+ * @returns {{ok: boolean, author?: string|null, busy?: boolean, error?: string}} author is the name shown on the input, which the post echoes back under
+ */
+const postChatMessage = (text) => {
+  const input = document.querySelector(SELECTORS.chatInput);
+  if (!input) {
+    return { ok: false, error: 'Chat input not found - log in to YouTube in the live chat tab' };
+  }
+  if (input.textContent.trim()) {
+    return { ok: false, busy: true, error: 'Chat input has unsent text - waiting for it to be sent or cleared' };
+  }
+  input.focus();
+  document.execCommand('selectAll');
+  if (!document.execCommand('insertText', false, text)) {
+    input.textContent = text;
+    input.dispatchEvent(new InputEvent('input', { bubbles: true }));
+  }
+  const button = document.querySelector(SELECTORS.sendButton);
+  if (!button || button.disabled) {
+    return { ok: false, error: 'Chat send button unavailable - chat may be slow mode, members-only or disabled' };
+  }
+  button.click();
+  const author = document.querySelector(SELECTORS.inputAuthorName)?.textContent?.trim() || null;
+  return { ok: true, author };
 };
 /**
  * Processes new chat messages and forwards them to the background script.
@@ -91,7 +196,9 @@ const processMessage = (messageEl) => {
   chrome.runtime.sendMessage({
     type: 'YOUTUBE_CHAT_MESSAGE',
     user: parsed.user,
-    text: parsed.text
+    text: parsed.text,
+    authorTypes: parsed.authorTypes,
+    paid: parsed.paid
   }).catch(() => {});
   return;
 };
@@ -106,7 +213,7 @@ const observeChat = (chatDoc) => {
     return;
   }
   // Process any existing messages
-  const existingMessages = messageList.querySelectorAll(SELECTORS.messageItem);
+  const existingMessages = messageList.querySelectorAll(CHAT_ITEMS);
   existingMessages.forEach(processMessage);
   // Watch for new messages
   observer = new MutationObserver((mutations) => {
@@ -114,10 +221,10 @@ const observeChat = (chatDoc) => {
       for (const node of mutation.addedNodes) {
         if (node.nodeType === Node.ELEMENT_NODE) {
           // Check if the added node is a message or contains messages
-          if (node.matches?.(SELECTORS.messageItem)) {
+          if (node.matches?.(CHAT_ITEMS)) {
             processMessage(node);
           } else {
-            const nestedMessages = node.querySelectorAll?.(SELECTORS.messageItem);
+            const nestedMessages = node.querySelectorAll?.(CHAT_ITEMS);
             nestedMessages?.forEach(processMessage);
           }
         }
@@ -246,6 +353,13 @@ if (isLiveChatFrame()) {
 } else if (window.self === window.top) {
   console.log('[YouTube] Main page detected, waiting for chat iframe...');
 }
+// Announcements from the background, sent to this frame only
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type === 'YOUTUBE_SEND_MESSAGE') {
+    sendResponse(postChatMessage(message.text));
+  }
+  return false;
+});
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
   if (observer) {
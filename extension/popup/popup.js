@@ -3,6 +3,23 @@ import {
   DEFAULT_MODEL,
   DEFAULT_MODEL_NAME,
   DEFAULT_VOTE_DURATION_SECONDS,
+  DEFAULT_TALLY_MODE,
+  DEFAULT_ROUND_TYPE,
+  DEFAULT_TIE_BREAK,
+  DEFAULT_REVIEW_AUTO_APPROVE_SECONDS,
+  DEFAULT_BANNED_TERM_ACTION,
+  DEFAULT_SUBMISSION_COOLDOWN_SECONDS,
+  DEFAULT_VOTE_COOLDOWN_SECONDS,
+  DEFAULT_MAX_EDITS_PER_ROUND,
+  DEFAULT_SPAM_USER_THRESHOLD,
+  DEFAULT_VOTE_EXTENSION_SECONDS,
+  DEFAULT_MAX_VOTE_EXTENSIONS,
+  DEFAULT_BITS_PER_VOTE,
+  DEFAULT_SUPER_CHAT_VOTES_PER_TIER,
+  DEFAULT_POINTS_PER_WIN,
+  DEFAULT_POINTS_PER_CONTRIBUTION,
+  DEFAULT_POINTS_PER_VOTE,
+  DEFAULT_POINTS_PERK_WEIGHT,
   MIN_VOTE_DURATION_SECONDS,
   MIN_AUTO_REPEAT_SECONDS,
   OPENROUTER_MODELS_URL
@@ -10,18 +27,33 @@ import {
 const elements = {
   popOut: document.getElementById('pop-out'),
   aidStatus: document.getElementById('aid-status'),
-  twitchStatus: document.getElementById('twitch-status'),
-  youtubeStatus: document.getElementById('youtube-status'),
+  chatStatus: document.getElementById('chat-status'),
   phase: document.getElementById('phase'),
   timerDisplay: document.getElementById('timer-display'),
   submissionCount: document.getElementById('submission-count'),
+  storyVote: document.getElementById('story-vote'),
   startVote: document.getElementById('start-vote'),
   endVote: document.getElementById('end-vote'),
   pauseBtn: document.getElementById('pause-btn'),
+  tieSection: document.getElementById('tie-section'),
+  tieOptions: document.getElementById('tie-options'),
+  reviewSection: document.getElementById('review-section'),
+  reviewText: document.getElementById('review-text'),
+  reviewError: document.getElementById('review-error'),
+  reviewApprove: document.getElementById('review-approve'),
+  reviewEdit: document.getElementById('review-edit'),
+  reviewReblend: document.getElementById('review-reblend'),
+  reviewReject: document.getElementById('review-reject'),
   twitchChannel: document.getElementById('twitch-channel'),
   twitchAuth: document.getElementById('twitch-auth'),
   twitchAuthStatus: document.getElementById('twitch-auth-status'),
   youtubeUrl: document.getElementById('youtube-url'),
+  kickChannel: document.getElementById('kick-channel'),
+  youtubeApiKey: document.getElementById('youtube-api-key'),
+  youtubePostMessages: document.getElementById('youtube-post-messages'),
+  youtubeKeyStatus: document.getElementById('youtube-key-status'),
+  forgetYoutubeKey: document.getElementById('forget-youtube-key'),
+  youtubeMode: document.getElementById('youtube-mode'),
   youtubeError: document.getElementById('youtube-error'),
   playerCharacterName: document.getElementById('player-character-name'),
   partyMemberName: document.getElementById('party-member-name'),
@@ -29,12 +61,67 @@ const elements = {
   apiKeyStatus: document.getElementById('api-key-status'),
   forgetApiKey: document.getElementById('forget-api-key'),
   model: document.getElementById('model'),
+  roundType: document.getElementById('round-type'),
+  tallyMode: document.getElementById('tally-mode'),
+  tieBreak: document.getElementById('tie-break'),
   voteDuration: document.getElementById('vote-duration'),
   autoRepeat: document.getElementById('auto-repeat'),
+  reviewEnabled: document.getElementById('review-enabled'),
+  reviewAutoApprove: document.getElementById('review-auto-approve'),
+  clusterSubmissions: document.getElementById('cluster-submissions'),
+  selfVote: document.getElementById('self-vote'),
+  subscriberWeight: document.getElementById('subscriber-weight'),
+  vipWeight: document.getElementById('vip-weight'),
+  founderWeight: document.getElementById('founder-weight'),
+  bitsPerVote: document.getElementById('bits-per-vote'),
+  superChatVotesPerTier: document.getElementById('super-chat-votes-per-tier'),
+  pointsPerWin: document.getElementById('points-per-win'),
+  pointsPerContribution: document.getElementById('points-per-contribution'),
+  pointsPerVote: document.getElementById('points-per-vote'),
+  pointsPerkThreshold: document.getElementById('points-perk-threshold'),
+  pointsPerkWeight: document.getElementById('points-perk-weight'),
+  bannedTerms: document.getElementById('banned-terms'),
+  bannedTermAction: document.getElementById('banned-term-action'),
+  blockedUsers: document.getElementById('blocked-users'),
+  submissionCooldown: document.getElementById('submission-cooldown'),
+  voteCooldown: document.getElementById('vote-cooldown'),
+  maxEdits: document.getElementById('max-edits'),
+  spamThreshold: document.getElementById('spam-threshold'),
+  quorumMinSubmissions: document.getElementById('quorum-min-submissions'),
+  quorumMinVoters: document.getElementById('quorum-min-voters'),
+  voteExtension: document.getElementById('vote-extension'),
+  maxVoteExtensions: document.getElementById('max-vote-extensions'),
+  overtime: document.getElementById('overtime'),
   debugMode: document.getElementById('debug-mode'),
   saveSettings: document.getElementById('save-settings'),
   subCount: document.getElementById('sub-count'),
   submissionList: document.getElementById('submission-list'),
+  rateLimitStats: document.getElementById('rate-limit-stats'),
+  paidQueue: document.getElementById('paid-queue'),
+  leaderboardCount: document.getElementById('leaderboard-count'),
+  leaderboardList: document.getElementById('leaderboard-list'),
+  exportPoints: document.getElementById('export-points'),
+  resetPoints: document.getElementById('reset-points'),
+  testChatLog: document.getElementById('test-chat-log'),
+  testChatUser: document.getElementById('test-chat-user'),
+  testChatBits: document.getElementById('test-chat-bits'),
+  testChatBadges: document.querySelectorAll('.test-chat-badges input'),
+  testChatText: document.getElementById('test-chat-text'),
+  testChatSend: document.getElementById('test-chat-send'),
+  testCrowdSubmitters: document.getElementById('test-crowd-submitters'),
+  testCrowdVoters: document.getElementById('test-crowd-voters'),
+  testCrowd: document.getElementById('test-crowd'),
+  testChatError: document.getElementById('test-chat-error'),
+  clearTestChat: document.getElementById('clear-test-chat'),
+  historySection: document.getElementById('history-section'),
+  historyCount: document.getElementById('history-count'),
+  historySession: document.getElementById('history-session'),
+  historyOutcome: document.getElementById('history-outcome'),
+  historySearch: document.getElementById('history-search'),
+  historyList: document.getElementById('history-list'),
+  exportHistoryJson: document.getElementById('export-history-json'),
+  exportHistoryCsv: document.getElementById('export-history-csv'),
+  clearHistory: document.getElementById('clear-history'),
   aiContextSection: document.getElementById('ai-context-section'),
   aiModel: document.getElementById('ai-model'),
   aiTimestamp: document.getElementById('ai-timestamp'),
@@ -45,6 +132,18 @@ const elements = {
 let timerInterval = null;
 let cachedState = null;
 let autoSaveTimeout = null;
+let reviewEditing = false;
+let lastPhase = null;
+let historyData = { sessions: [], sessionId: null, rounds: [] };
+/** How each round outcome is shown in the history list */
+const OUTCOME_LABELS = {
+  submitted: '✅ Submitted',
+  failed: '❌ Failed',
+  skipped: '⏭️ Skipped',
+  rejected: '🚫 Rejected',
+  interrupted: '⚠️ Interrupted',
+  nothing: '— Nothing submitted'
+};
 /**
  * Escapes HTML special characters to prevent XSS
  * @param {string} text - Raw text to escape
@@ -55,6 +154,17 @@ const escapeHtml = (text) => {
   div.textContent = text;
   return div.innerHTML;
 };
+/**
+ * Returns a small badge for non-"do" action types
+ * @param {string} type - Submission action type
+ * @returns {string} Badge HTML, or empty for plain actions
+ */
+const typeBadge = (type) => {
+  if (!type || type === 'do') {
+    return '';
+  }
+  return `<span class="action-type ${type}">${type}</span> `;
+};
 /**
  * Formats seconds as mm:ss
  * @param {number} seconds - Seconds to format
@@ -65,6 +175,246 @@ const formatTime = (seconds) => {
   const secs = seconds % 60;
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 };
+/**
+ * Creates a small moderation button that sends a MODERATE message
+ * @param {string} label - Button text
+ * @param {string} title - Tooltip
+ * @param {'remove'|'block'|'unblock'} command - Moderation command
+ * @param {string} target - Option number, username or blocked-list key
+ * @returns {HTMLButtonElement}
+ */
+const createModButton = (label, title, command, target) => {
+  const button = document.createElement('button');
+  button.className = 'btn-mod';
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ type: 'MODERATE', command, target });
+  });
+  return button;
+};
+/**
+ * Parses the auto-approve input (0 = wait for the streamer)
+ * @returns {number} Seconds before auto-approve
+ */
+const parseAutoApprove = () => {
+  const seconds = parseInt(elements.reviewAutoApprove.value);
+  return isNaN(seconds) || seconds < 0 ? DEFAULT_REVIEW_AUTO_APPROVE_SECONDS : seconds;
+};
+/**
+ * Formats raw and weighted vote counts side by side (weighted only when it differs)
+ * @param {number} raw - Number of voters
+ * @param {number} weighted - Weighted total
+ * @returns {string}
+ */
+const formatVotes = (raw, weighted) => {
+  const votes = `${raw} vote${raw === 1 ? '' : 's'}`;
+  return weighted === undefined || weighted === raw ? votes : `${votes} · ${Math.round(weighted * 10) / 10} weighted`;
+};
+/**
+ * Parses a vote weight input (positive, defaults to 1)
+ * @param {HTMLInputElement} input - Number input
+ * @returns {number}
+ */
+const parseWeight = (input) => {
+  const value = parseFloat(input.value);
+  return isNaN(value) || value <= 0 ? 1 : value;
+};
+/**
+ * Parses a non-negative whole-number limit input (0 = off)
+ * @param {HTMLInputElement} input - Number input
+ * @param {number} fallback - Value used when the input is empty or invalid
+ * @returns {number}
+ */
+const parseLimit = (input, fallback) => {
+  const value = parseInt(input.value);
+  return isNaN(value) || value < 0 ? fallback : value;
+};
+/**
+ * Sends a message from the test chat console as the chosen user and badges
+ * @returns {Promise<void>}
+ */
+const sendTestChat = async () => {
+  const badges = [...elements.testChatBadges].filter(input => input.checked).map(input => input.value);
+  const result = await chrome.runtime.sendMessage({
+    type: 'TEST_CHAT',
+    user: elements.testChatUser.value,
+    text: elements.testChatText.value,
+    badges,
+    bits: parseLimit(elements.testChatBits, 0)
+  });
+  elements.testChatError.textContent = result?.error || '';
+  if (result?.success) {
+    elements.testChatText.value = '';
+  }
+  return;
+};
+/**
+ * Saves text as a file through a temporary download link
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ * @param {string} content - File contents
+ * @returns {void}
+ */
+const downloadFile = (filename, type, content) => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([content], { type }));
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+  return;
+};
+/**
+ * Builds CSV text, quoting every cell. Text starting with a formula character
+ * gets a leading ' so chat submissions can't run as spreadsheet formulas
+ * @param {Array<Array<string|number|null>>} rows - Header row first
+ * @returns {string}
+ */
+const toCsv = (rows) => {
+  const quote = (value) => {
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value ?? '');
+    return `"${text.replace(/"/g, '""')}"`;
+  };
+  return rows.map(row => row.map(quote).join(',')).join('\n');
+};
+/**
+ * Applies the outcome and search filters to the loaded history
+ * @returns {Array<Object>} Matching rounds, newest first
+ */
+const getFilteredRounds = () => {
+  const outcome = elements.historyOutcome.value;
+  const search = elements.historySearch.value.trim().toLowerCase();
+  return historyData.rounds.filter(round => {
+    if (outcome && round.outcome !== outcome) {
+      return false;
+    }
+    if (!search) {
+      return true;
+    }
+    const haystack = [round.finalText, ...round.submissions.flatMap(s => [s.user, s.text])];
+    return haystack.some(value => value && value.toLowerCase().includes(search));
+  }).reverse();
+};
+/**
+ * Builds the list entry for one archived round, expandable to show everything recorded
+ * @param {Object} round - Archived round record
+ * @returns {HTMLLIElement}
+ */
+const createHistoryItem = (round) => {
+  const li = document.createElement('li');
+  const details = document.createElement('details');
+  details.className = 'history-round';
+  const time = new Date(round.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const count = `${round.submissions.length} submission${round.submissions.length === 1 ? '' : 's'}`;
+  const final = round.finalType === 'continue' ? '(continue)' : round.finalText;
+  const summary = document.createElement('summary');
+  summary.innerHTML = `<span class="option-number">#${round.number}</span> ${time} · ${OUTCOME_LABELS[round.outcome] || escapeHtml(round.outcome)} · ${count}` +
+    (final ? `<span class="history-final">${typeBadge(round.finalType)}${escapeHtml(final)}</span>` : '');
+  details.appendChild(summary);
+  const body = document.createElement('div');
+  body.className = 'history-body';
+  const sections = [];
+  if (round.error) {
+    sections.push(`<div class="history-error">${escapeHtml(round.error)}</div>`);
+  }
+  if (round.submissions.length > 0) {
+    const items = round.submissions.map(s => {
+      const voters = s.voters.length > 0 ? ` <span class="vote-count">${formatVotes(s.voters.length, s.weightedVotes)}: ${escapeHtml(s.voters.join(', '))}</span>` : '';
+      const testTag = s.platform === 'test' ? '🧪 ' : '';
+      return `<li><span class="option-number">${s.label || '#' + s.index}</span> ${testTag}<span class="user">${escapeHtml(s.user)}:</span> ${typeBadge(s.type)}${escapeHtml(s.text)}${voters}</li>`;
+    });
+    sections.push(`<div class="debug-label">Submissions${round.mode ? ' · ' + escapeHtml(round.mode) : ''}</div><ul>${items.join('')}</ul>`);
+  }
+  if (round.runoff) {
+    const runoff = round.runoff.map(r => `#${r.index}: ${r.voters.length}`).join(', ');
+    sections.push(`<div class="debug-label">Runoff</div><div>${escapeHtml(runoff)}</div>`);
+  }
+  for (const proposal of round.proposals) {
+    sections.push(`<div class="debug-label">Proposed</div><div>${escapeHtml(proposal.announcement)}</div>`);
+  }
+  for (const call of round.aiCalls) {
+    sections.push(`<div class="debug-label">${call.kind === 'choices' ? 'Options' : 'Blend'} · ${escapeHtml(call.model || '')}</div>` +
+      `<pre>${escapeHtml(call.userPrompt || '')}</pre><pre class="response">${escapeHtml(call.response || '')}</pre>`);
+  }
+  body.innerHTML = sections.map(section => `<div class="debug-section">${section}</div>`).join('');
+  details.appendChild(body);
+  li.appendChild(details);
+  return li;
+};
+/**
+ * Renders the session picker and the filtered round list
+ * @returns {void}
+ */
+const renderHistory = () => {
+  elements.historySession.innerHTML = '';
+  for (const session of historyData.sessions) {
+    const option = document.createElement('option');
+    option.value = String(session.id);
+    option.textContent = `${new Date(session.startedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })} · ${session.rounds} round${session.rounds === 1 ? '' : 's'}`;
+    elements.historySession.appendChild(option);
+  }
+  const all = document.createElement('option');
+  all.value = 'all';
+  all.textContent = 'All sessions';
+  elements.historySession.appendChild(all);
+  elements.historySession.value = historyData.sessionId === null ? 'all' : String(historyData.sessionId);
+  const rounds = getFilteredRounds();
+  elements.historyCount.textContent = `(${rounds.length})`;
+  elements.historyList.innerHTML = '';
+  if (rounds.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'none';
+    li.textContent = historyData.rounds.length === 0 ? 'No rounds yet' : 'No rounds match';
+    elements.historyList.appendChild(li);
+  }
+  for (const round of rounds) {
+    elements.historyList.appendChild(createHistoryItem(round));
+  }
+  return;
+};
+/**
+ * Loads archived rounds from the background and renders them
+ * @param {number|null} [sessionId] - Session to show, null for all, or omitted for the latest
+ * @returns {Promise<void>}
+ */
+const fetchHistory = async (sessionId) => {
+  const result = await chrome.runtime.sendMessage({ type: 'GET_HISTORY', sessionId });
+  if (!result?.success) {
+    elements.historyList.innerHTML = `<li class="none">${escapeHtml(result?.error || 'History unavailable')}</li>`;
+    return;
+  }
+  historyData = result;
+  renderHistory();
+  return;
+};
+/**
+ * Reloads the selected history session, or the latest when none is picked
+ * @returns {Promise<void>}
+ */
+const refreshHistory = async () => {
+  const selected = elements.historySession.value;
+  if (selected === 'all') {
+    await fetchHistory(null);
+  } else {
+    // Follow the newest session unless an older one is being viewed
+    const isLatest = !selected || String(historyData.sessions[0]?.id) === selected;
+    await fetchHistory(isLatest ? undefined : parseInt(selected));
+  }
+  return;
+};
+/**
+ * Sends a review decision for the action awaiting approval
+ * @param {'approve'|'hold'|'reblend'|'reject'} decision - What to do with the action
+ * @returns {Promise<void>}
+ */
+const sendReviewDecision = async (decision) => {
+  elements.reviewError.textContent = '';
+  const result = await chrome.runtime.sendMessage({ type: 'REVIEW_DECISION', decision, text: elements.reviewText.value });
+  if (result?.error) {
+    elements.reviewError.textContent = result.error;
+  }
+  return;
+};
 /**
  * Updates the timer display based on current state
  * @returns {void}
@@ -114,6 +464,24 @@ const updateTimerDisplay = () => {
     elements.timerDisplay.className = 'timer-display waiting' + (isPaused ? ' paused' : '');
     return;
   }
+  // Waiting for the streamer to break a tie
+  if (cachedState.phase === 'combine' && cachedState.pendingTie) {
+    const remaining = Math.max(0, Math.ceil((cachedState.pendingTie.endTime - now) / 1000));
+    elements.timerDisplay.textContent = `Pick a winner: ${formatTime(remaining)}`;
+    elements.timerDisplay.className = 'timer-display active';
+    return;
+  }
+  // During review (auto-approve countdown, or waiting for the streamer)
+  if (cachedState.phase === 'review' && cachedState.review) {
+    if (cachedState.review.endTime) {
+      const remaining = Math.max(0, Math.ceil((cachedState.review.endTime - now) / 1000));
+      elements.timerDisplay.textContent = `Auto-approve in ${formatTime(remaining)}`;
+    } else {
+      elements.timerDisplay.textContent = 'Waiting for your review';
+    }
+    elements.timerDisplay.className = 'timer-display active';
+    return;
+  }
   // No timer active
   elements.timerDisplay.textContent = '';
   elements.timerDisplay.className = 'timer-display';
@@ -168,26 +536,77 @@ const autoSaveSettings = () => {
       model: elements.model.value,
       voteDurationSeconds: voteDuration,
       autoRepeatCooldownSeconds: autoRepeat,
+      roundType: elements.roundType.value,
+      tallyMode: elements.tallyMode.value,
+      tieBreak: elements.tieBreak.value,
+      reviewEnabled: elements.reviewEnabled.checked,
+      reviewAutoApproveSeconds: parseAutoApprove(),
+      clusterSubmissions: elements.clusterSubmissions.checked,
+      selfVote: elements.selfVote.checked,
+      subscriberVoteWeight: parseWeight(elements.subscriberWeight),
+      vipVoteWeight: parseWeight(elements.vipWeight),
+      founderVoteWeight: parseWeight(elements.founderWeight),
+      bitsPerVote: parseLimit(elements.bitsPerVote, DEFAULT_BITS_PER_VOTE),
+      superChatVotesPerTier: parseLimit(elements.superChatVotesPerTier, DEFAULT_SUPER_CHAT_VOTES_PER_TIER),
+      pointsPerWin: parseLimit(elements.pointsPerWin, DEFAULT_POINTS_PER_WIN),
+      pointsPerContribution: parseLimit(elements.pointsPerContribution, DEFAULT_POINTS_PER_CONTRIBUTION),
+      pointsPerVote: parseLimit(elements.pointsPerVote, DEFAULT_POINTS_PER_VOTE),
+      pointsPerkThreshold: parseLimit(elements.pointsPerkThreshold, 0),
+      pointsPerkWeight: parseWeight(elements.pointsPerkWeight),
+      bannedTerms: elements.bannedTerms.value,
+      bannedTermAction: elements.bannedTermAction.value,
+      submissionCooldownSeconds: parseLimit(elements.submissionCooldown, DEFAULT_SUBMISSION_COOLDOWN_SECONDS),
+      voteCooldownSeconds: parseLimit(elements.voteCooldown, DEFAULT_VOTE_COOLDOWN_SECONDS),
+      maxEditsPerRound: parseLimit(elements.maxEdits, DEFAULT_MAX_EDITS_PER_ROUND),
+      spamUserThreshold: parseLimit(elements.spamThreshold, DEFAULT_SPAM_USER_THRESHOLD),
+      quorumMinSubmissions: parseLimit(elements.quorumMinSubmissions, 0),
+      quorumMinVoters: parseLimit(elements.quorumMinVoters, 0),
+      voteExtensionSeconds: Math.max(parseLimit(elements.voteExtension, DEFAULT_VOTE_EXTENSION_SECONDS), MIN_VOTE_DURATION_SECONDS),
+      maxVoteExtensions: parseLimit(elements.maxVoteExtensions, DEFAULT_MAX_VOTE_EXTENSIONS),
+      overtimeSeconds: parseLimit(elements.overtime, 0),
       debugMode: elements.debugMode.checked,
       playerCharacterName: elements.playerCharacterName.value.trim(),
       partyMemberName: elements.partyMemberName.value.trim(),
-      youtubeUrl: elements.youtubeUrl.value.trim()
+      youtubeUrl: elements.youtubeUrl.value.trim(),
+      youtubePostMessages: elements.youtubePostMessages.checked,
+      kickChannel: elements.kickChannel.value.trim()
     };
     // Include API key if user typed something new
     if (elements.openrouterKey.value) {
       config.openRouterApiKey = elements.openrouterKey.value.trim();
     }
+    if (elements.youtubeApiKey.value) {
+      config.youtubeApiKey = elements.youtubeApiKey.value.trim();
+    }
     await chrome.runtime.sendMessage({ type: 'SAVE_CONFIG', config });
   }, 500); // 500ms debounce
   return;
 };
+/**
+ * Renders a status dot for each chat source the background has registered and enabled.
+ * @param {Array<{id: string, label: string, status: string, detail: string}>} sources - Source statuses from the background
+ * @returns {void}
+ */
+const renderChatStatus = (sources) => {
+  const dots = sources.map((source) => {
+    const dot = document.createElement('span');
+    dot.className = 'status-dot ' + source.status;
+    dot.title = `${source.label}: ${source.detail}`;
+    dot.dataset.source = source.id;
+    return dot;
+  });
+  elements.chatStatus.replaceChildren(...dots);
+  return;
+};
 const updateUI = (state) => {
   // Cache state for timer updates
   cachedState = state;
   // Start timer interval if needed (active timers, not when paused)
   const hasActiveTimer = !state.isPaused && (
     (state.phase === 'vote' && state.voteEndTime) ||
-    (state.phase === 'idle' && state.nextVoteStartTime)
+    (state.phase === 'idle' && state.nextVoteStartTime) ||
+    (state.phase === 'review' && state.review?.endTime) ||
+    (state.phase === 'combine' && state.pendingTie)
   );
   const hasPausedTimer = state.isPaused && (
     state.pausedVoteRemaining || state.pausedAutoRepeatRemaining
@@ -201,41 +620,100 @@ const updateUI = (state) => {
   updateTimerDisplay();
   // Connection status
   elements.aidStatus.className = 'status-dot ' + (state.aidConnected ? 'connected' : 'disconnected');
-  elements.twitchStatus.className = 'status-dot ' + (state.twitchConnected ? 'connected' : 'disconnected');
   elements.aidStatus.title = 'AI Dungeon: ' + (state.aidConnected ? 'Connected' : 'Disconnected');
-  elements.twitchStatus.title = 'Twitch: ' + (state.twitchConnected ? 'Connected' : 'Disconnected');
-  // YouTube status (only show if URL is configured)
-  const hasYoutubeUrl = state.config?.youtubeUrl;
-  if (hasYoutubeUrl) {
-    elements.youtubeStatus.style.display = '';
-    if (state.youtubeError) {
-      elements.youtubeStatus.className = 'status-dot error';
-      elements.youtubeStatus.title = 'YouTube: Error - ' + state.youtubeError.message;
-    } else {
-      elements.youtubeStatus.className = 'status-dot ' + (state.youtubeConnected ? 'connected' : 'disconnected');
-      elements.youtubeStatus.title = 'YouTube: ' + (state.youtubeConnected ? 'Connected' : 'Waiting for live chat tab');
-    }
-  } else {
-    elements.youtubeStatus.style.display = 'none';
-  }
+  // One dot per enabled chat source
+  renderChatStatus(state.chatSources || []);
   // Phase
-  elements.phase.textContent = state.phase;
+  elements.phase.textContent = state.rehearsal ? `${state.phase} (test)` : state.phase;
   elements.phase.className = 'phase-value ' + state.phase;
   // Submission count
   if (state.phase === 'vote') {
-    elements.submissionCount.textContent = `${state.submissionCount} submissions`;
+    const runoffNote = state.isRunoff ? ' · runoff' : '';
+    const extendedNote = state.voteExtensions > 0 ? ` · extended ${state.voteExtensions}/${state.config.maxVoteExtensions}` : '';
+    elements.submissionCount.textContent = `${state.submissionCount} submissions${runoffNote}${extendedNote}`;
   } else {
     elements.submissionCount.textContent = '';
   }
+  // Retry/undo vote or last result
+  if (state.storyVote) {
+    const { command, requestedBy, yes, no } = state.storyVote;
+    elements.storyVote.textContent = `🔁 ${requestedBy} wants to ${command}: ${yes} yes / ${no} no`;
+    elements.storyVote.className = 'story-vote open';
+  } else if (state.lastStoryCommand) {
+    const { command, success, error } = state.lastStoryCommand;
+    elements.storyVote.textContent = success ? `✅ Last ${command} succeeded` : `❌ Last ${command} failed: ${error}`;
+    elements.storyVote.className = 'story-vote ' + (success ? 'success' : 'failed');
+  } else {
+    elements.storyVote.textContent = '';
+    elements.storyVote.className = 'story-vote';
+  }
+  // Tie pick
+  if (state.phase === 'combine' && state.pendingTie) {
+    elements.tieSection.style.display = '';
+    elements.tieOptions.innerHTML = '';
+    for (const option of state.pendingTie.options) {
+      const button = document.createElement('button');
+      button.className = 'btn btn-secondary';
+      button.innerHTML = `<span class="option-number">${option.label || '#' + option.index}</span> <span class="user">${escapeHtml(option.user)}:</span> ${typeBadge(option.type)}${escapeHtml(option.text)}`;
+      button.addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ type: 'TIE_PICK', index: option.index });
+      });
+      elements.tieOptions.appendChild(button);
+    }
+  } else {
+    elements.tieSection.style.display = 'none';
+  }
+  // Review
+  if (state.phase === 'review' && state.review) {
+    const isContinue = state.review.type === 'continue';
+    elements.reviewSection.style.display = '';
+    // Don't overwrite the box while the streamer is typing
+    if (!reviewEditing) {
+      elements.reviewText.value = isContinue ? '(continue)' : state.review.text;
+    }
+    elements.reviewText.readOnly = !reviewEditing;
+    elements.reviewEdit.disabled = reviewEditing || isContinue;
+    elements.reviewReblend.disabled = !state.review.canReblend;
+  } else {
+    reviewEditing = false;
+    elements.reviewSection.style.display = 'none';
+    elements.reviewError.textContent = '';
+  }
+  // A round just ended, so the history has a new entry
+  if (lastPhase && lastPhase !== 'idle' && state.phase === 'idle' && elements.historySection.open) {
+    refreshHistory();
+  }
+  lastPhase = state.phase;
   // Buttons
   elements.startVote.disabled = state.phase !== 'idle';
   elements.endVote.disabled = state.phase !== 'vote';
+  // Mods can change these from chat (!duration, !autorepeat), so follow them unless being edited
+  if (state.config && document.activeElement !== elements.voteDuration) {
+    elements.voteDuration.value = state.config.voteDurationSeconds || DEFAULT_VOTE_DURATION_SECONDS;
+  }
+  if (state.config && document.activeElement !== elements.autoRepeat) {
+    elements.autoRepeat.value = state.config.autoRepeatCooldownSeconds || '';
+  }
   // Pause button
   const hasAutoRepeat = !!state.config?.autoRepeatCooldownSeconds;
   elements.pauseBtn.style.display = hasAutoRepeat ? '' : 'none';
   elements.pauseBtn.textContent = state.isPaused ? '▶' : '⏸';
   elements.pauseBtn.title = state.isPaused ? 'Resume auto-repeat' : 'Pause auto-repeat';
   elements.pauseBtn.className = 'btn btn-pause' + (state.isPaused ? ' paused' : '');
+  // Rate-limit counters for this round
+  const limited = state.rateLimitStats;
+  const limitParts = limited ? [
+    limited.submissionCooldown && `${limited.submissionCooldown} submission cooldown`,
+    limited.voteCooldown && `${limited.voteCooldown} vote cooldown`,
+    limited.editCap && `${limited.editCap} over edit cap`,
+    limited.spam && `${limited.spam} spam`
+  ].filter(Boolean) : [];
+  elements.rateLimitStats.textContent = limitParts.length > 0 ? `Dropped: ${limitParts.join(' · ')}` : '';
+  // Super Chat actions waiting for the next free-text round
+  const queued = state.paidQueue || [];
+  elements.paidQueue.textContent = queued.length > 0
+    ? `💰 Queued for next round: ${queued.map(q => `${q.user} (${q.amountText})`).join(' · ')}`
+    : '';
   // Submissions
   elements.subCount.textContent = `(${state.submissionCount})`;
   elements.submissionList.innerHTML = '';
@@ -245,12 +723,70 @@ const updateUI = (state) => {
     li.textContent = 'No submissions yet';
     elements.submissionList.appendChild(li);
   } else {
+    // Near-duplicate groups: the first index is the group's lead (most votes)
+    const groupByIndex = new Map();
+    for (const group of state.groups || []) {
+      for (const index of group.indices) {
+        groupByIndex.set(index, group);
+      }
+    }
     for (const sub of state.submissions) {
       const li = document.createElement('li');
-      li.innerHTML = `<span class="user">${escapeHtml(sub.user)}:</span> ${escapeHtml(sub.text)}`;
+      const group = groupByIndex.get(sub.index);
+      let groupTag = '';
+      if (group && group.indices[0] === sub.index) {
+        groupTag = ` <span class="cluster-tag">+${group.indices.length - 1} similar · ${formatVotes(group.voteCount, group.weightedVoteCount)}</span>`;
+      } else if (group) {
+        groupTag = ` <span class="cluster-tag">≈ #${group.indices[0]}</span>`;
+      }
+      const testTag = sub.platform === 'test' ? '<span class="test-tag" title="Test chat">🧪</span> ' : '';
+      li.innerHTML = `<span class="option-number">${sub.label || '#' + sub.index}</span> ${testTag}<span class="user">${escapeHtml(sub.user)}:</span> ${typeBadge(sub.type)}${escapeHtml(sub.text)} <span class="vote-count">${formatVotes(sub.voteCount, sub.weightedVoteCount)}</span>${groupTag}`;
+      // Viewer submissions can be removed or their author blocked mid-round (not AI-written options)
+      if (state.phase === 'vote' && !sub.label) {
+        const actions = document.createElement('span');
+        actions.className = 'sub-actions';
+        actions.appendChild(createModButton('✕', 'Remove submission', 'remove', String(sub.index)));
+        actions.appendChild(createModButton('⛔', `Block ${sub.user}`, 'block', String(sub.index)));
+        li.prepend(actions);
+      }
       elements.submissionList.appendChild(li);
     }
   }
+  // Viewer points leaderboard (top entries only; export fetches the full list)
+  const leaders = state.leaderboard || [];
+  elements.leaderboardCount.textContent = `(${leaders.length})`;
+  elements.leaderboardList.innerHTML = '';
+  if (leaders.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'none';
+    li.textContent = 'No points yet';
+    elements.leaderboardList.appendChild(li);
+  }
+  for (const entry of leaders) {
+    const li = document.createElement('li');
+    li.innerHTML = `<span class="user">${escapeHtml(entry.name)}</span> <span class="platform">${escapeHtml(entry.platform)}</span> <span class="points">${entry.points}</span>`;
+    li.title = `${entry.wins} wins · ${entry.contributions} contributions · ${entry.votes} votes`;
+    elements.leaderboardList.appendChild(li);
+  }
+  // Test chat console, newest at the bottom
+  const testLog = state.testChatLog || [];
+  const wasAtBottom = elements.testChatLog.scrollTop + elements.testChatLog.clientHeight >= elements.testChatLog.scrollHeight - 4;
+  elements.testChatLog.innerHTML = '';
+  if (testLog.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'none';
+    li.textContent = 'Nothing yet';
+    elements.testChatLog.appendChild(li);
+  }
+  for (const entry of testLog) {
+    const li = document.createElement('li');
+    li.className = entry.from;
+    li.innerHTML = entry.from === 'bot' ? `🤖 ${escapeHtml(entry.text)}` : `🧪 <span class="user">${escapeHtml(entry.user)}:</span> ${escapeHtml(entry.text)}`;
+    elements.testChatLog.appendChild(li);
+  }
+  if (wasAtBottom) {
+    elements.testChatLog.scrollTop = elements.testChatLog.scrollHeight;
+  }
   // "Combined" call debug info
   if (state.lastAICall) {
     elements.aiContextSection.style.display = 'block';
@@ -271,6 +807,21 @@ const updateUI = (state) => {
     } else {
       elements.youtubeError.style.display = 'none';
     }
+    // Blocked users
+    elements.blockedUsers.innerHTML = '';
+    if (!state.blockedUsers || state.blockedUsers.length === 0) {
+      const li = document.createElement('li');
+      li.className = 'none';
+      li.textContent = 'Nobody is blocked';
+      elements.blockedUsers.appendChild(li);
+    } else {
+      for (const { key, name } of state.blockedUsers) {
+        const li = document.createElement('li');
+        li.textContent = name;
+        li.appendChild(createModButton('✕', `Unblock ${name}`, 'unblock', key));
+        elements.blockedUsers.appendChild(li);
+      }
+    }
     // API key status
     if (state.config.hasOpenRouterKey) {
       elements.apiKeyStatus.textContent = '✓ Saved';
@@ -281,6 +832,25 @@ const updateUI = (state) => {
       elements.apiKeyStatus.className = 'status-none';
       elements.forgetApiKey.style.display = 'none';
     }
+    // YouTube key status and which way chat is read
+    if (state.config.hasYouTubeApiKey) {
+      elements.youtubeKeyStatus.textContent = '✓ Saved';
+      elements.youtubeKeyStatus.className = 'status-saved';
+      elements.forgetYoutubeKey.style.display = 'inline-block';
+    } else {
+      elements.youtubeKeyStatus.textContent = '';
+      elements.forgetYoutubeKey.style.display = 'none';
+    }
+    if (state.config.youtubeUrl) {
+      elements.youtubeMode.style.display = 'block';
+      const readMode = state.youtubeMode === 'api'
+        ? 'Reading chat through the YouTube Data API'
+        : 'Reading chat from the live chat tab' + (state.youtubeApiError ? ` (Data API failed: ${state.youtubeApiError})` : '');
+      const postError = state.config.youtubePostMessages && state.youtubeSendError ? `. Posting failed: ${state.youtubeSendError}` : '';
+      elements.youtubeMode.textContent = readMode + postError;
+    } else {
+      elements.youtubeMode.style.display = 'none';
+    }
     // Twitch auth button state
     if (state.config.hasTwitchToken) {
       elements.twitchAuth.textContent = 'Disconnect';
@@ -314,6 +884,23 @@ elements.endVote.addEventListener('click', async () => {
 elements.pauseBtn.addEventListener('click', async () => {
   await chrome.runtime.sendMessage({ type: 'TOGGLE_PAUSE' });
 });
+elements.reviewApprove.addEventListener('click', async () => {
+  await sendReviewDecision('approve');
+});
+elements.reviewEdit.addEventListener('click', async () => {
+  // Editing stops the auto-approve countdown
+  reviewEditing = true;
+  elements.reviewText.readOnly = false;
+  elements.reviewEdit.disabled = true;
+  elements.reviewText.focus();
+  await sendReviewDecision('hold');
+});
+elements.reviewReblend.addEventListener('click', async () => {
+  await sendReviewDecision('reblend');
+});
+elements.reviewReject.addEventListener('click', async () => {
+  await sendReviewDecision('reject');
+});
 elements.twitchAuth.addEventListener('click', async () => {
   const state = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
   if (state.config?.hasTwitchToken) {
@@ -358,42 +945,192 @@ elements.saveSettings.addEventListener('click', async () => {
     model: elements.model.value,
     voteDurationSeconds: voteDuration,
     autoRepeatCooldownSeconds: autoRepeat,
+    roundType: elements.roundType.value,
+    tallyMode: elements.tallyMode.value,
+    tieBreak: elements.tieBreak.value,
+    reviewEnabled: elements.reviewEnabled.checked,
+    reviewAutoApproveSeconds: parseAutoApprove(),
+    clusterSubmissions: elements.clusterSubmissions.checked,
+    selfVote: elements.selfVote.checked,
+    subscriberVoteWeight: parseWeight(elements.subscriberWeight),
+    vipVoteWeight: parseWeight(elements.vipWeight),
+    founderVoteWeight: parseWeight(elements.founderWeight),
+    bitsPerVote: parseLimit(elements.bitsPerVote, DEFAULT_BITS_PER_VOTE),
+    superChatVotesPerTier: parseLimit(elements.superChatVotesPerTier, DEFAULT_SUPER_CHAT_VOTES_PER_TIER),
+    pointsPerWin: parseLimit(elements.pointsPerWin, DEFAULT_POINTS_PER_WIN),
+    pointsPerContribution: parseLimit(elements.pointsPerContribution, DEFAULT_POINTS_PER_CONTRIBUTION),
+    pointsPerVote: parseLimit(elements.pointsPerVote, DEFAULT_POINTS_PER_VOTE),
+    pointsPerkThreshold: parseLimit(elements.pointsPerkThreshold, 0),
+    pointsPerkWeight: parseWeight(elements.pointsPerkWeight),
+    bannedTerms: elements.bannedTerms.value,
+    bannedTermAction: elements.bannedTermAction.value,
+    submissionCooldownSeconds: parseLimit(elements.submissionCooldown, DEFAULT_SUBMISSION_COOLDOWN_SECONDS),
+    voteCooldownSeconds: parseLimit(elements.voteCooldown, DEFAULT_VOTE_COOLDOWN_SECONDS),
+    maxEditsPerRound: parseLimit(elements.maxEdits, DEFAULT_MAX_EDITS_PER_ROUND),
+    spamUserThreshold: parseLimit(elements.spamThreshold, DEFAULT_SPAM_USER_THRESHOLD),
+    quorumMinSubmissions: parseLimit(elements.quorumMinSubmissions, 0),
+    quorumMinVoters: parseLimit(elements.quorumMinVoters, 0),
+    voteExtensionSeconds: Math.max(parseLimit(elements.voteExtension, DEFAULT_VOTE_EXTENSION_SECONDS), MIN_VOTE_DURATION_SECONDS),
+    maxVoteExtensions: parseLimit(elements.maxVoteExtensions, DEFAULT_MAX_VOTE_EXTENSIONS),
+    overtimeSeconds: parseLimit(elements.overtime, 0),
     debugMode: elements.debugMode.checked,
     playerCharacterName: elements.playerCharacterName.value.trim(),
     partyMemberName: elements.partyMemberName.value.trim(),
-    youtubeUrl: elements.youtubeUrl.value.trim()
+    youtubeUrl: elements.youtubeUrl.value.trim(),
+    youtubePostMessages: elements.youtubePostMessages.checked,
+    kickChannel: elements.kickChannel.value.trim()
   };
-  // Only include OpenRouter key if modified
+  // Only include OpenRouter and YouTube keys if modified
   if (elements.openrouterKey.value) {
     config.openRouterApiKey = elements.openrouterKey.value.trim();
   }
+  if (elements.youtubeApiKey.value) {
+    config.youtubeApiKey = elements.youtubeApiKey.value.trim();
+  }
   await chrome.runtime.sendMessage({ type: 'SAVE_CONFIG', config });
   elements.saveSettings.textContent = 'Saved!';
   setTimeout(() => {
     elements.saveSettings.textContent = 'Save Settings';
   }, 1500);
 });
+elements.exportPoints.addEventListener('click', async () => {
+  const result = await chrome.runtime.sendMessage({ type: 'EXPORT_POINTS' });
+  const rows = [
+    ['rank', 'platform', 'name', 'points', 'wins', 'contributions', 'votes'],
+    ...(result.leaderboard || []).map((e, i) => [i + 1, e.platform, e.name, e.points, e.wins, e.contributions, e.votes])
+  ];
+  downloadFile('viewer-points.csv', 'text/csv', toCsv(rows));
+});
+elements.testChatSend.addEventListener('click', sendTestChat);
+elements.testChatText.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') {
+    sendTestChat();
+  }
+});
+elements.testCrowd.addEventListener('click', async () => {
+  const result = await chrome.runtime.sendMessage({
+    type: 'TEST_CROWD',
+    submitters: parseLimit(elements.testCrowdSubmitters, 50),
+    voters: parseLimit(elements.testCrowdVoters, 100)
+  });
+  elements.testChatError.textContent = result?.error || '';
+});
+elements.clearTestChat.addEventListener('click', async () => {
+  await chrome.runtime.sendMessage({ type: 'CLEAR_TEST_CHAT' });
+});
+elements.historySection.addEventListener('toggle', () => {
+  if (elements.historySection.open) {
+    refreshHistory();
+  }
+});
+elements.historySession.addEventListener('change', () => {
+  const selected = elements.historySession.value;
+  fetchHistory(selected === 'all' ? null : parseInt(selected));
+});
+elements.historyOutcome.addEventListener('change', renderHistory);
+elements.historySearch.addEventListener('input', renderHistory);
+elements.exportHistoryJson.addEventListener('click', () => {
+  const rounds = getFilteredRounds().reverse();
+  const sessionIds = new Set(rounds.map(r => r.sessionId));
+  const sessions = historyData.sessions.filter(s => sessionIds.has(s.id));
+  downloadFile('round-history.json', 'application/json', JSON.stringify({ sessions, rounds }, null, 2));
+});
+elements.exportHistoryCsv.addEventListener('click', () => {
+  // One row per submission, so each round's details repeat on its rows
+  const rows = [['session', 'round', 'started', 'ended', 'round type', 'mode', 'outcome', 'final type', 'final text', 'error', 'option', 'user', 'platform', 'type', 'text', 'votes', 'weighted votes', 'voters']];
+  for (const round of getFilteredRounds().reverse()) {
+    const roundCells = [
+      round.sessionId,
+      round.number,
+      new Date(round.startedAt).toISOString(),
+      round.endedAt ? new Date(round.endedAt).toISOString() : '',
+      round.roundType,
+      round.mode,
+      round.outcome,
+      round.finalType,
+      round.finalText,
+      round.error
+    ];
+    if (round.submissions.length === 0) {
+      rows.push(roundCells);
+    }
+    for (const s of round.submissions) {
+      rows.push([...roundCells, s.label || s.index, s.user, s.platform, s.type, s.text, s.voters.length, s.weightedVotes, s.voters.join(' ')]);
+    }
+  }
+  downloadFile('round-history.csv', 'text/csv', toCsv(rows));
+});
+elements.clearHistory.addEventListener('click', async () => {
+  if (!confirm('Delete the history of every round? This cannot be undone.')) {
+    return;
+  }
+  await chrome.runtime.sendMessage({ type: 'CLEAR_HISTORY' });
+  await fetchHistory();
+});
+elements.resetPoints.addEventListener('click', async () => {
+  if (!confirm('Reset every viewer\'s points? This cannot be undone.')) {
+    return;
+  }
+  await chrome.runtime.sendMessage({ type: 'RESET_POINTS' });
+});
 elements.forgetApiKey.addEventListener('click', async () => {
   await chrome.runtime.sendMessage({ type: 'SAVE_CONFIG', config: { openRouterApiKey: '' } });
   elements.openrouterKey.value = '';
   const newState = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
   updateUI(newState);
 });
+elements.forgetYoutubeKey.addEventListener('click', async () => {
+  await chrome.runtime.sendMessage({ type: 'SAVE_CONFIG', config: { youtubeApiKey: '' } });
+  elements.youtubeApiKey.value = '';
+  const newState = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
+  updateUI(newState);
+});
 // Auto-save settings on change (debounced)
 const autoSaveInputs = [
   elements.twitchChannel,
   elements.youtubeUrl,
+  elements.kickChannel,
+  elements.youtubeApiKey,
   elements.playerCharacterName,
   elements.partyMemberName,
   elements.openrouterKey,
   elements.voteDuration,
-  elements.autoRepeat
+  elements.autoRepeat,
+  elements.reviewAutoApprove,
+  elements.bannedTerms,
+  elements.submissionCooldown,
+  elements.voteCooldown,
+  elements.maxEdits,
+  elements.spamThreshold,
+  elements.quorumMinSubmissions,
+  elements.quorumMinVoters,
+  elements.voteExtension,
+  elements.maxVoteExtensions,
+  elements.overtime,
+  elements.subscriberWeight,
+  elements.vipWeight,
+  elements.founderWeight,
+  elements.bitsPerVote,
+  elements.superChatVotesPerTier,
+  elements.pointsPerWin,
+  elements.pointsPerContribution,
+  elements.pointsPerVote,
+  elements.pointsPerkThreshold,
+  elements.pointsPerkWeight
 ];
 autoSaveInputs.forEach(input => {
   input.addEventListener('input', autoSaveSettings);
 });
 elements.model.addEventListener('change', autoSaveSettings);
+elements.roundType.addEventListener('change', autoSaveSettings);
+elements.tallyMode.addEventListener('change', autoSaveSettings);
+elements.tieBreak.addEventListener('change', autoSaveSettings);
+elements.reviewEnabled.addEventListener('change', autoSaveSettings);
+elements.bannedTermAction.addEventListener('change', autoSaveSettings);
+elements.clusterSubmissions.addEventListener('change', autoSaveSettings);
+elements.selfVote.addEventListener('change', autoSaveSettings);
 elements.debugMode.addEventListener('change', autoSaveSettings);
+elements.youtubePostMessages.addEventListener('change', autoSaveSettings);
 chrome.runtime.onMessage.addListener((message) => {
   if (message.type === 'STATE_UPDATE') {
     updateUI(message.state);
@@ -459,10 +1196,40 @@ const loadSettings = (config) => {
   // Model is set by populateModels, not here
   elements.voteDuration.value = config.voteDurationSeconds || DEFAULT_VOTE_DURATION_SECONDS;
   elements.autoRepeat.value = config.autoRepeatCooldownSeconds || '';
+  elements.roundType.value = config.roundType || DEFAULT_ROUND_TYPE;
+  elements.tallyMode.value = config.tallyMode || DEFAULT_TALLY_MODE;
+  elements.tieBreak.value = config.tieBreak || DEFAULT_TIE_BREAK;
+  elements.reviewEnabled.checked = config.reviewEnabled || false;
+  elements.reviewAutoApprove.value = config.reviewAutoApproveSeconds ?? DEFAULT_REVIEW_AUTO_APPROVE_SECONDS;
+  elements.clusterSubmissions.checked = config.clusterSubmissions ?? true;
+  elements.selfVote.checked = config.selfVote ?? true;
+  elements.subscriberWeight.value = config.subscriberVoteWeight ?? 1;
+  elements.vipWeight.value = config.vipVoteWeight ?? 1;
+  elements.founderWeight.value = config.founderVoteWeight ?? 1;
+  elements.bitsPerVote.value = config.bitsPerVote ?? DEFAULT_BITS_PER_VOTE;
+  elements.superChatVotesPerTier.value = config.superChatVotesPerTier ?? DEFAULT_SUPER_CHAT_VOTES_PER_TIER;
+  elements.pointsPerWin.value = config.pointsPerWin ?? DEFAULT_POINTS_PER_WIN;
+  elements.pointsPerContribution.value = config.pointsPerContribution ?? DEFAULT_POINTS_PER_CONTRIBUTION;
+  elements.pointsPerVote.value = config.pointsPerVote ?? DEFAULT_POINTS_PER_VOTE;
+  elements.pointsPerkThreshold.value = config.pointsPerkThreshold ?? 0;
+  elements.pointsPerkWeight.value = config.pointsPerkWeight ?? DEFAULT_POINTS_PERK_WEIGHT;
+  elements.bannedTerms.value = config.bannedTerms || '';
+  elements.bannedTermAction.value = config.bannedTermAction || DEFAULT_BANNED_TERM_ACTION;
+  elements.submissionCooldown.value = config.submissionCooldownSeconds ?? DEFAULT_SUBMISSION_COOLDOWN_SECONDS;
+  elements.voteCooldown.value = config.voteCooldownSeconds ?? DEFAULT_VOTE_COOLDOWN_SECONDS;
+  elements.maxEdits.value = config.maxEditsPerRound ?? DEFAULT_MAX_EDITS_PER_ROUND;
+  elements.spamThreshold.value = config.spamUserThreshold ?? DEFAULT_SPAM_USER_THRESHOLD;
+  elements.quorumMinSubmissions.value = config.quorumMinSubmissions ?? 0;
+  elements.quorumMinVoters.value = config.quorumMinVoters ?? 0;
+  elements.voteExtension.value = config.voteExtensionSeconds ?? DEFAULT_VOTE_EXTENSION_SECONDS;
+  elements.maxVoteExtensions.value = config.maxVoteExtensions ?? DEFAULT_MAX_VOTE_EXTENSIONS;
+  elements.overtime.value = config.overtimeSeconds ?? 0;
   elements.debugMode.checked = config.debugMode || false;
   elements.playerCharacterName.value = config.playerCharacterName || '';
   elements.partyMemberName.value = config.partyMemberName || '';
   elements.youtubeUrl.value = config.youtubeUrl || '';
+  elements.youtubePostMessages.checked = config.youtubePostMessages || false;
+  elements.kickChannel.value = config.kickChannel || '';
   return;
 };
 const init = async () => {